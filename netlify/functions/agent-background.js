@@ -0,0 +1,138 @@
+// Netlify Background Function: AI Agent Job Worker
+// POST /.netlify/functions/agent-background  { jobId }
+// Scores a queued agent job in waves of batches, saving progress and the
+// partial top-K after each wave. Re-queues itself before the background
+// function time limit so long runs can finish.
+
+const {
+    scoreSingleBatch,
+    scoreMultiPresetBatch,
+    heuristicResults,
+    sortScores,
+    chunkArray
+} = require('../lib/agent-pipeline');
+const {
+    openJobStore,
+    isValidJobId,
+    isFinished,
+    addJobError,
+    startWorker
+} = require('../lib/agent-jobs');
+const { getLlmConfig } = require('../lib/llm');
+
+// Background functions are stopped after 15 minutes
+const WORKER_BUDGET_MS = (parseInt(process.env.AGENT_WORKER_BUDGET_SECONDS, 10) || 780) * 1000;
+const CONCURRENCY = Math.min(Math.max(parseInt(process.env.AGENT_CONCURRENCY, 10) || 3, 1), 8);
+const MAX_CONSECUTIVE_FAILURES = 3;
+
+exports.handler = async (event) => {
+    let jobId;
+    try {
+        jobId = JSON.parse(event.body || '{}').jobId;
+    } catch (e) {
+        jobId = null;
+    }
+
+    if (!isValidJobId(jobId)) {
+        console.error('Agent worker: invalid job id');
+        return { statusCode: 400, body: '' };
+    }
+
+    let jobs = null;
+    try {
+        jobs = openJobStore(event);
+        await runJob(jobs, jobId);
+    } catch (error) {
+        console.error(`Agent worker failed on job ${jobId}:`, error);
+        const job = jobs && await jobs.get(jobId).catch(() => null);
+        if (job && !isFinished(job)) {
+            job.status = 'failed';
+            job.error = error.message;
+            job.finishedAt = new Date().toISOString();
+            await jobs.save(job);
+            await jobs.cleanup(jobId);
+        }
+        return { statusCode: 500, body: JSON.stringify({ error: error.message }) };
+    }
+
+    return { statusCode: 202, body: '' };
+};
+
+async function runJob(jobs, jobId) {
+    const startedAt = Date.now();
+    const job = await jobs.get(jobId);
+
+    // agent.js saved the job before starting us, so a missing record means the store isn't shared
+    if (!job) throw new Error(`Job ${jobId} is not in the job store`);
+    // Already running in another worker, finished, or failed as stale
+    if (job.status !== 'queued') return;
+
+    const llm = getLlmConfig();
+    if (!llm.configured) throw new Error('API key not configured');
+
+    const batches = chunkArray(await jobs.getCandidates(jobId), job.batchSize);
+
+    job.status = 'running';
+    job.startedAt = job.startedAt || new Date().toISOString();
+    await jobs.save(job);
+
+    while (job.batchesDone < batches.length) {
+        if (await jobs.isCancelRequested(jobId)) {
+            job.status = 'cancelled';
+            break;
+        }
+
+        if (Date.now() - startedAt > WORKER_BUDGET_MS) {
+            job.status = 'queued';
+            await jobs.save(job);
+            await startWorker(job.workerUrl, jobId);
+            return;
+        }
+
+        const first = job.batchesDone;
+        const wave = batches.slice(first, first + CONCURRENCY);
+        const outcomes = await Promise.all(wave.map(batch => scoreBatch(job, batch, llm)));
+
+        const waveScores = [];
+        outcomes.forEach((outcome, i) => {
+            waveScores.push(...outcome.scores);
+            if (outcome.error) {
+                addJobError(job, first + i + 1, outcome.error);
+                job.consecutiveFailures = (job.consecutiveFailures || 0) + 1;
+            } else {
+                job.consecutiveFailures = 0;
+            }
+        });
+
+        job.results = sortScores(job.results.concat(waveScores), job.multiPreset).slice(0, job.topK);
+        job.batchesDone += wave.length;
+        job.scoredCount += wave.reduce((n, batch) => n + batch.length, 0);
+
+        if (job.consecutiveFailures >= MAX_CONSECUTIVE_FAILURES) {
+            job.status = 'failed';
+            job.error = `Stopped after ${job.consecutiveFailures} failed batches: ${job.errors[job.errors.length - 1].message}`;
+            break;
+        }
+
+        await jobs.save(job);
+    }
+
+    if (job.status === 'running') job.status = 'done';
+    job.finishedAt = new Date().toISOString();
+    await jobs.save(job);
+    await jobs.cleanup(jobId);
+}
+
+async function scoreBatch(job, batch, llm) {
+    // job.model was checked against the whitelist when the job was created
+    const model = job.model || llm.model;
+    try {
+        const scores = job.multiPreset
+            ? await scoreMultiPresetBatch(batch, job.presetIds, job.presetMap, llm, model)
+            : await scoreSingleBatch(batch, job.mode, llm, model);
+        return { scores, error: null };
+    } catch (error) {
+        console.error('Batch scoring error:', error);
+        return { scores: heuristicResults(batch, job, 'Offline score (AI failed)'), error: error.message };
+    }
+}
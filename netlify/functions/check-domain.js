@@ -2,18 +2,45 @@
  * Netlify Function: Check Domain Availability
  * 
  * Checks availability and price for a given domain.
- * Supports "mock" mode (no API key) and "real" mode (with API key).
+ * Modes (DOMAIN_PROVIDER):
+ *   namecheap | godaddy | dynadot - registrar API, verified (needs DOMAIN_API_KEY)
+ *   rdap - keyless registry lookup, availability is "Not verified" (default without a key)
+ *   mock - random demo data for UI testing
+ * See netlify/lib/providers.
  * 
  * Usage:
  * POST /api/check
  * Body: { "domain": "example.com" }
+ *
+ * Batch:
+ * Body: { "domains": ["a.com", "b.io"], "concurrency": 5 }
+ * Returns: { results: [...], summary: { available, taken, premium, error }, concurrency }
+ *
+ * Results are cached per provider + domain (see CACHE_TTL). Cached answers
+ * keep their original checkedAt and carry cached: true. Send "force": true
+ * to bypass the cache.
  */
 
-const fetch = require('node-fetch');
+const { getProvider, DEFAULT_PROVIDER, KEYLESS_PROVIDER } = require('../lib/providers');
+const { createStore } = require('../lib/store');
+const { classifyPremium } = require('../lib/premium');
 
 // Configuration
 const MOCK_MODE_DELAY = 1000; // ms to simulate network delay
 const MOCK_AVAILABILITY_RATE = 0.3; // 30% chance of being available in mock mode
+const MOCK_PREMIUM_RATE = 0.1; // share of available mock names priced as premium
+const MAX_BATCH_DOMAINS = 50; // keeps a batch inside the function time limit
+const DEFAULT_CONCURRENCY = parseInt(process.env.CHECK_CONCURRENCY, 10) || 5;
+const MAX_CONCURRENCY = 10;
+const RATE_LIMIT_RETRIES = 3;
+const RATE_LIMIT_DELAY = parseInt(process.env.CHECK_RETRY_DELAY_MS, 10) || 1000; // ms, doubled on each retry
+const CACHE_STORE = 'availability-cache';
+const CACHE_TTL_HOURS = envHours('CHECK_CACHE_TTL_HOURS', 24);
+const CACHE_TTL = {
+    taken: envHours('CHECK_CACHE_TTL_TAKEN_HOURS', CACHE_TTL_HOURS) * 3600000,
+    available: envHours('CHECK_CACHE_TTL_AVAILABLE_HOURS', CACHE_TTL_HOURS) * 3600000,
+    premium: envHours('CHECK_CACHE_TTL_AVAILABLE_HOURS', CACHE_TTL_HOURS) * 3600000
+};
 
 exports.handler = async (event, context) => {
     // CORS headers
@@ -39,7 +66,12 @@ exports.handler = async (event, context) => {
     }
 
     try {
-        const { domain } = JSON.parse(event.body);
+        const { domain, domains, concurrency, force } = JSON.parse(event.body);
+        const cache = openCache(event);
+
+        if (Array.isArray(domains)) {
+            return await handleBatch(domains, concurrency, { cache, force: !!force }, headers);
+        }
 
         if (!domain) {
             return {
@@ -49,21 +81,7 @@ exports.handler = async (event, context) => {
             };
         }
 
-        // Check for API key (Simulated for now, would be process.env.DOMAIN_API_KEY)
-        const apiKey = process.env.DOMAIN_API_KEY;
-        const useRealProvider = !!apiKey;
-
-        let result;
-
-        if (useRealProvider) {
-            // Real Provider Implementation (Placeholder for now)
-            // You would implement the specific logic for Namecheap, GoDaddy, etc. here
-            // For now, fall back to mock to ensure it works without a key
-            result = await checkMockDomain(domain);
-            // result = await checkRealDomain(domain, apiKey); 
-        } else {
-            result = await checkMockDomain(domain);
-        }
+        const result = await checkDomainCached(domain, cache, !!force);
 
         return {
             statusCode: 200,
@@ -73,14 +91,193 @@ exports.handler = async (event, context) => {
 
     } catch (error) {
         console.error('Check failed:', error);
+
+        // Surface registrar rate limiting so clients can back off
+        if (error.status === 429) {
+            return {
+                statusCode: 429,
+                headers,
+                body: JSON.stringify({ error: 'Rate limited by provider', message: error.message })
+            };
+        }
+
         return {
-            statusCode: 500,
+            statusCode: error.status ? 502 : 500,
             headers,
-            body: JSON.stringify({ error: 'Internal server error', message: error.message })
+            body: JSON.stringify({ error: error.status ? 'Provider request failed' : 'Internal server error', message: error.message })
         };
     }
 };
 
+/**
+ * Batch Handler
+ * Checks every domain with a bounded worker pool and reports per-domain status
+ */
+async function handleBatch(domains, requestedConcurrency, options, headers) {
+    const list = [...new Set(domains
+        .filter(d => typeof d === 'string')
+        .map(d => d.trim().toLowerCase())
+        .filter(Boolean))];
+
+    if (list.length === 0) {
+        return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: 'Domains array is empty' })
+        };
+    }
+
+    if (list.length > MAX_BATCH_DOMAINS) {
+        return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: `Too many domains. Maximum is ${MAX_BATCH_DOMAINS} per request` })
+        };
+    }
+
+    const concurrency = Math.min(Math.max(parseInt(requestedConcurrency, 10) || DEFAULT_CONCURRENCY, 1), MAX_CONCURRENCY);
+    const { results, concurrency: finalConcurrency } = await checkDomainsBatch(list, concurrency, options);
+
+    const summary = { total: results.length, available: 0, taken: 0, premium: 0, error: 0 };
+    results.forEach(r => summary[r.status]++);
+
+    return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ results, summary, concurrency: finalConcurrency })
+    };
+}
+
+/**
+ * Worker pool with adaptive backoff.
+ * Each upstream 429 halves the number of active workers (min 1) and the
+ * domain is retried after an exponential delay. Workers whose index is
+ * above the current limit stop picking up new work.
+ */
+async function checkDomainsBatch(domains, concurrency, { cache, force }) {
+    const results = new Array(domains.length);
+    let limit = concurrency;
+    let next = 0;
+
+    const checkWithRetry = async (domain) => {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await checkDomainCached(domain, cache, force);
+            } catch (error) {
+                if (error.status === 429 && attempt < RATE_LIMIT_RETRIES) {
+                    limit = Math.max(1, Math.floor(limit / 2));
+                    await sleep(RATE_LIMIT_DELAY * Math.pow(2, attempt));
+                    continue;
+                }
+                console.error(`Check failed for ${domain}:`, error.message);
+                return {
+                    domain: domain,
+                    available: false,
+                    status: 'error',
+                    error: error.status === 429 ? 'Rate limited by provider' : error.message,
+                    checkedAt: new Date().toISOString()
+                };
+            }
+        }
+    };
+
+    const worker = async (id) => {
+        while (id < limit && next < domains.length) {
+            const i = next++;
+            results[i] = await checkWithRetry(domains[i]);
+        }
+    };
+
+    await Promise.all(Array.from({ length: concurrency }, (_, id) => worker(id)));
+
+    return { results, concurrency: limit };
+}
+
+/**
+ * Check through the cache. Errors are never cached, and neither are
+ * mock results since they are random on every call.
+ */
+async function checkDomainCached(domain, cache, force) {
+    const providerName = resolveProviderName();
+    const key = `${providerName}:${domain.trim().toLowerCase()}`;
+    const cacheable = cache && providerName !== 'mock';
+
+    if (cacheable && !force) {
+        try {
+            const hit = await cache.get(key);
+            if (hit && Date.now() - Date.parse(hit.checkedAt) < (CACHE_TTL[hit.status] || 0)) {
+                return { ...hit, cached: true };
+            }
+        } catch (error) {
+            console.error('Cache read failed:', error.message);
+        }
+    }
+
+    const result = withStatus(await checkDomain(domain, providerName));
+
+    if (cacheable) {
+        try {
+            await cache.set(key, result);
+        } catch (error) {
+            console.error('Cache write failed:', error.message);
+        }
+    }
+
+    return { ...result, cached: false };
+}
+
+/**
+ * Without an explicit DOMAIN_PROVIDER, a registrar key selects the default
+ * registrar and no key falls back to keyless RDAP.
+ */
+function resolveProviderName() {
+    const name = process.env.DOMAIN_PROVIDER
+        || (process.env.DOMAIN_API_KEY ? DEFAULT_PROVIDER : KEYLESS_PROVIDER);
+    return name.trim().toLowerCase();
+}
+
+/**
+ * Route a single check to the configured backend and classify premium names.
+ */
+async function checkDomain(domain, providerName) {
+    const raw = providerName === 'mock'
+        ? await checkMockDomain(domain)
+        : await checkRealDomain(domain.trim().toLowerCase(), providerName);
+
+    const { providerText, ...result } = raw;
+    return { ...result, ...classifyPremium(result, providerText) };
+}
+
+// A broken cache backend shouldn't take availability checks down with it
+function openCache(event) {
+    try {
+        return createStore(CACHE_STORE, event);
+    } catch (error) {
+        console.error('Cache unavailable:', error.message);
+        return null;
+    }
+}
+
+function envHours(name, fallback) {
+    const value = parseFloat(process.env[name]);
+    return isNaN(value) ? fallback : value;
+}
+
+/**
+ * Derive the summary status: available | taken | premium
+ */
+function withStatus(result) {
+    let status = 'taken';
+    if (result.available) {
+        status = result.premium ? 'premium' : 'available';
+    }
+    return { ...result, status };
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
 /**
  * Mock Domain Checker
  * Simulates checking availability with random results
@@ -99,6 +296,9 @@ async function checkMockDomain(domain) {
 
     // Randomly vary price slightly
     price = price + (Math.random() * 2 - 1);
+
+    // Occasionally price like a registry premium so the classifier has something to catch
+    if (Math.random() < MOCK_PREMIUM_RATE) price = price * 25;
     price = Math.round(price * 100) / 100;
 
     return {
@@ -106,29 +306,22 @@ async function checkMockDomain(domain) {
         available: isAvailable,
         price: isAvailable ? price : null,
         currency: 'USD',
-        premium: false, // In mock mode, assume standard
+        premium: null, // Unknown - left to the price threshold
         registrar: 'Namecheap', // Default suggestion
         buyUrl: `https://www.namecheap.com/domains/registration/results/?domain=${domain}`,
         checkedAt: new Date().toISOString(),
-        method: 'mock'
+        method: 'mock',
+        confidence: 'simulated'
     };
 }
 
 /**
- * Real Domain Checker (Template)
- * Implement specific provider logic here
+ * Real Domain Checker
+ * Delegates to the registrar / RDAP adapter for the selected provider
  */
-async function checkRealDomain(domain, apiKey) {
-    // Example for a generic provider
-    // const response = await fetch(`https://api.provider.com/v1/domains/${domain}`, { 
-    //     headers: { 'Authorization': `Bearer ${apiKey}` } 
-    // });
-    // const data = await response.json();
-    // return {
-    //     domain: data.domain,
-    //     available: data.available,
-    //     price: data.price,
-    //     ...
-    // };
-    throw new Error("Real provider not implemented yet");
+async function checkRealDomain(domain, providerName) {
+    const provider = getProvider(providerName);
+    const config = provider.configFromEnv(process.env);
+
+    return provider.check(domain, config);
 }
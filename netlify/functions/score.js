@@ -2,8 +2,14 @@
 // POST /.netlify/functions/score
 // Body: { domains: [...], preset: "lenders|..." } OR
 // Body: { domains: [...], presetIds: ["id1",...], presets: [{...}] } for multi-preset
+// Either body may add model: "..." (must be in LLM_ALLOWED_MODELS)
+// and fast: true to use the offline heuristic scorer (also used when no LLM is configured)
+// GET /.netlify/functions/score -> { defaultModel, models, llmConfigured } for the model picker
+
+const { getLlmConfig, resolveModel, completionRequest, publicModelInfo } = require('../lib/llm');
+const { scoreDomain, presetOptions } = require('../../shared/heuristic-score');
+const { createReplyMatcher } = require('../../shared/tlds');
 
-const OPENAI_API_URL = 'https://api.openai.com/v1/chat/completions';
 const MAX_DOMAINS = 120;
 const MIN_DOMAINS = 1;
 const MAX_PRESETS = 6;
@@ -38,7 +44,7 @@ BUCKETS:
 - PASS: Score < 4 (not worth pursuing)
 
 OUTPUT FORMAT:
-Return ONLY a valid JSON array with no extra text. Each element:
+Return ONLY a valid JSON array with no extra text. Write each domain exactly as listed, TLD included. Each element:
 {"domain": "example.com", "score": 7.5, "bucket": "FAST-FLIP", "reason": "Short, memorable, clear pronunciation", "use_case": "B2B fintech"}
 
 TARGET NICHE CONTEXT:
@@ -70,7 +76,7 @@ BUCKETS (per preset):
 - PASS: Score < 4
 
 OUTPUT FORMAT:
-Return ONLY a valid JSON array. Each element:
+Return ONLY a valid JSON array. Write each domain exactly as listed, TLD included. Each element:
 {
   "domain": "example.com",
   "resultsByPreset": {
@@ -90,7 +96,7 @@ exports.handler = async (event) => {
     const headers = {
         'Access-Control-Allow-Origin': '*',
         'Access-Control-Allow-Headers': 'Content-Type',
-        'Access-Control-Allow-Methods': 'POST, OPTIONS',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
         'Content-Type': 'application/json'
     };
 
@@ -99,6 +105,17 @@ exports.handler = async (event) => {
         return { statusCode: 200, headers, body: '' };
     }
 
+    const llm = getLlmConfig();
+
+    // Model picker info
+    if (event.httpMethod === 'GET') {
+        return {
+            statusCode: 200,
+            headers,
+            body: JSON.stringify({ success: true, ...publicModelInfo(llm), llmConfigured: llm.configured })
+        };
+    }
+
     // Only allow POST
     if (event.httpMethod !== 'POST') {
         return {
@@ -110,7 +127,7 @@ exports.handler = async (event) => {
 
     try {
         const body = JSON.parse(event.body);
-        const { domains, preset, presetIds, presets } = body;
+        const { domains, preset, presetIds, presets, model: requestedModel, fast } = body;
 
         // Validate domains
         if (!Array.isArray(domains) || domains.length < MIN_DOMAINS) {
@@ -131,25 +148,27 @@ exports.handler = async (event) => {
             };
         }
 
-        // Check API key
-        const apiKey = process.env.OPENAI_API_KEY;
-        if (!apiKey) {
-            return {
-                statusCode: 500,
-                headers,
-                body: JSON.stringify({ error: 'API key not configured' })
-            };
-        }
-
         // Detect multi-preset mode
         const isMultiPreset = Array.isArray(presetIds) && presetIds.length > 0;
 
+        // Offline scoring: fast mode, or no API key / LLM server configured
+        if (fast || !llm.configured) {
+            return handleHeuristicScoring(domains, preset, isMultiPreset ? presetIds : null, presets, headers);
+        }
+
+        let model;
+        try {
+            model = resolveModel(requestedModel, llm);
+        } catch (err) {
+            return { statusCode: 400, headers, body: JSON.stringify({ error: err.message }) };
+        }
+
         if (isMultiPreset) {
             // Multi-preset scoring
-            return await handleMultiPresetScoring(domains, presetIds, presets, apiKey, headers);
+            return await handleMultiPresetScoring(domains, presetIds, presets, llm, model, headers);
         } else {
             // Legacy single-preset scoring
-            return await handleSinglePresetScoring(domains, preset, apiKey, headers);
+            return await handleSinglePresetScoring(domains, preset, llm, model, headers);
         }
 
     } catch (error) {
@@ -162,34 +181,85 @@ exports.handler = async (event) => {
     }
 };
 
+// Offline heuristic scoring (single or multi-preset), same response shape as the LLM paths
+function handleHeuristicScoring(domains, preset, presetIds, presets, headers) {
+    if (presetIds) {
+        if (presetIds.length < MIN_PRESETS || presetIds.length > MAX_PRESETS) {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({
+                    error: `Invalid preset count. Must be ${MIN_PRESETS}-${MAX_PRESETS}. Got ${presetIds.length}.`
+                })
+            };
+        }
+
+        const presetMap = {};
+        for (const p of (presets || [])) {
+            if (p && p.id) presetMap[p.id] = p;
+        }
+
+        const rawResults = domains.map(domain => {
+            const resultsByPreset = {};
+            for (const id of presetIds) {
+                resultsByPreset[id] = scoreDomain(domain, presetOptions(presetMap[id] || { id }));
+            }
+            return { domain: String(domain), resultsByPreset };
+        });
+        const processedResults = processMultiResults(rawResults, presetIds, presetMap, domains);
+
+        return {
+            statusCode: 200,
+            headers,
+            body: JSON.stringify({
+                success: true,
+                count: processedResults.length,
+                multiPreset: true,
+                presetIds,
+                engine: 'heuristic',
+                scores: processedResults
+            })
+        };
+    }
+
+    const scores = domains.map(domain => {
+        const { score, bucket, reason, use_case } = scoreDomain(domain, { mode: preset });
+        return { domain: String(domain), score, bucket, reason, use_case };
+    });
+
+    return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({
+            success: true,
+            count: scores.length,
+            engine: 'heuristic',
+            scores
+        })
+    };
+}
+
 // Legacy single-preset scoring
-async function handleSinglePresetScoring(domains, preset, apiKey, headers) {
+async function handleSinglePresetScoring(domains, preset, llm, model, headers) {
     const presetContext = PRESET_CONTEXT[preset] || PRESET_CONTEXT.brandable;
 
     const prompt = SCORING_PROMPT
         .replace('{{PRESET_CONTEXT}}', presetContext)
         .replace('{{DOMAINS}}', domains.join('\n'));
 
-    const response = await fetchWithRetry(OPENAI_API_URL, {
-        method: 'POST',
-        headers: {
-            'Authorization': `Bearer ${apiKey}`,
-            'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-            model: 'gpt-4o-mini',
-            messages: [
-                { role: 'system', content: 'You are an expert domain name appraiser. Return only valid JSON.' },
-                { role: 'user', content: prompt }
-            ],
-            temperature: 0.3,
-            max_tokens: 4000
-        })
+    const request = completionRequest(llm, {
+        model,
+        messages: [
+            { role: 'system', content: 'You are an expert domain name appraiser. Return only valid JSON.' },
+            { role: 'user', content: prompt }
+        ],
+        maxTokens: llm.maxTokens
     });
+    const response = await fetchWithRetry(request.url, request.options);
 
     if (!response.ok) {
         const errorText = await response.text();
-        console.error('OpenAI API error:', errorText);
+        console.error('LLM API error:', errorText);
         return {
             statusCode: 502,
             headers,
@@ -217,8 +287,10 @@ async function handleSinglePresetScoring(domains, preset, apiKey, headers) {
         };
     }
 
+    // Replies name the domain as the model saw fit; report it as it was sent
+    const match = createReplyMatcher(domains);
     const validatedScores = scores.map(s => ({
-        domain: String(s.domain || ''),
+        domain: match(s.domain) || String(s.domain || ''),
         score: Math.min(10, Math.max(0, parseFloat(s.score) || 0)),
         bucket: ['FAST-FLIP', 'HOLD', 'PASS'].includes(s.bucket) ? s.bucket : 'PASS',
         reason: String(s.reason || '').slice(0, 200),
@@ -231,13 +303,15 @@ async function handleSinglePresetScoring(domains, preset, apiKey, headers) {
         body: JSON.stringify({
             success: true,
             count: validatedScores.length,
+            engine: 'llm',
+            model,
             scores: validatedScores
         })
     };
 }
 
 // Multi-preset scoring
-async function handleMultiPresetScoring(domains, presetIds, presets, apiKey, headers) {
+async function handleMultiPresetScoring(domains, presetIds, presets, llm, model, headers) {
     // Validate preset count
     if (presetIds.length < MIN_PRESETS || presetIds.length > MAX_PRESETS) {
         return {
@@ -278,26 +352,19 @@ async function handleMultiPresetScoring(domains, presetIds, presets, apiKey, hea
         .replace('{{PERSONAS}}', personas)
         .replace('{{DOMAINS}}', domains.join('\n'));
 
-    const response = await fetchWithRetry(OPENAI_API_URL, {
-        method: 'POST',
-        headers: {
-            'Authorization': `Bearer ${apiKey}`,
-            'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-            model: 'gpt-4o-mini',
-            messages: [
-                { role: 'system', content: 'You are an expert domain appraiser. Score domains against multiple buyer personas. Return ONLY valid JSON array.' },
-                { role: 'user', content: prompt }
-            ],
-            temperature: 0.3,
-            max_tokens: 8000 // More tokens for multi-preset
-        })
+    const request = completionRequest(llm, {
+        model,
+        messages: [
+            { role: 'system', content: 'You are an expert domain appraiser. Score domains against multiple buyer personas. Return ONLY valid JSON array.' },
+            { role: 'user', content: prompt }
+        ],
+        maxTokens: llm.maxTokensMulti // More tokens for multi-preset
     });
+    const response = await fetchWithRetry(request.url, request.options);
 
     if (!response.ok) {
         const errorText = await response.text();
-        console.error('OpenAI API error:', errorText);
+        console.error('LLM API error:', errorText);
         return {
             statusCode: 502,
             headers,
@@ -325,9 +392,29 @@ async function handleMultiPresetScoring(domains, presetIds, presets, apiKey, hea
         };
     }
 
-    // Process multi-preset results
-    const processedResults = rawResults.map(r => {
-        const domain = String(r.domain || '').replace('.com', '').toLowerCase();
+    const processedResults = processMultiResults(rawResults, presetIds, presetMap, domains);
+
+    return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({
+            success: true,
+            count: processedResults.length,
+            multiPreset: true,
+            presetIds,
+            engine: 'llm',
+            model,
+            scores: processedResults
+        })
+    };
+}
+
+// Compute cross-fit metrics for { domain, resultsByPreset } rows (LLM or heuristic)
+// Row domains are mapped back to the requested ones (shared/tlds.js)
+function processMultiResults(rawResults, presetIds, presetMap, domains) {
+    const match = createReplyMatcher(domains);
+    return rawResults.map(r => {
+        const domain = match(r.domain) || String(r.domain || '').toLowerCase();
         const resultsByPreset = r.resultsByPreset || {};
 
         // Compute cross-fit metrics
@@ -382,18 +469,6 @@ async function handleMultiPresetScoring(domains, presetIds, presets, apiKey, hea
             scoreByPreset
         };
     });
-
-    return {
-        statusCode: 200,
-        headers,
-        body: JSON.stringify({
-            success: true,
-            count: processedResults.length,
-            multiPreset: true,
-            presetIds,
-            scores: processedResults
-        })
-    };
 }
 
 // Parse JSON response (handles markdown code blocks)
@@ -1,10 +1,24 @@
 /**
  * Netlify Function: Protected Winners Endpoint
- * 
- * Returns winners list ONLY for authenticated users.
+ *
+ * Per-user winners list, ONLY for authenticated users.
  * Validates JWT from Netlify Identity.
  * Optionally restricts to ALLOWED_EMAILS env var.
- * 
+ *
+ * API (Authorization: Bearer <Identity JWT>):
+ *   GET                            -> { winners, deleted }  (deleted = tombstones for sync)
+ *   POST   { domain, ...fields }   -> create, 409 if it already exists
+ *   PUT    { domain, ...fields, baseVersion? } -> create or update
+ *   DELETE ?domain=...&baseVersion=...         -> delete
+ *
+ * Every record carries a version. A PUT/DELETE whose baseVersion is not
+ * the stored version gets 409 with the server copy, so the client can
+ * resolve edits made offline on another device. Writes are conditional on
+ * the stored list's etag; one that keeps racing other writes gets 409
+ * without a server copy.
+ *
+ * Stored per user in the "winners" store (netlify/lib/store.js).
+ *
  * SETUP REQUIRED:
  * 1. Enable Netlify Identity in dashboard
  * 2. Set Registration to "Invite only"
@@ -12,23 +26,27 @@
  * 4. Invite authorized users
  */
 
-// ════════════════════════════════════════════════════
-// SERVER-SIDE WINNERS DATA (NOT exposed to client)
-// Add your winners here - they are only returned after auth
-// ════════════════════════════════════════════════════
-const WINNERS = [
-    // Example entries - replace with your actual winners
-    { domain: "trustflow.com", category: "Finance", status: "Want", price: "$5000", notes: "Great brandable", date: "2025-01-15" },
-    { domain: "payverify.com", category: "Payments", status: "Watching", price: "", notes: "Monitor auction", date: "2025-01-20" },
-    // Add more winners here...
+const { createStore } = require('../lib/store');
+
+const STORE_NAME = 'winners';
+const MAX_WINNERS = 5000;
+// Tries at a write that keeps losing to concurrent requests before giving up with 409
+const MAX_WRITE_ATTEMPTS = 3;
+const MAX_FIELD_LENGTH = 1000;
+
+// Fields a client may set besides the domain (registrar onward: portfolio lifecycle)
+const WINNER_FIELDS = [
+    'category', 'status', 'price', 'notes', 'date',
+    'registrar', 'regDate', 'expiryDate', 'purchaseCost', 'renewalCost', 'listPrice', 'salePrice'
 ];
+const STATUSES = ['Want', 'Watching', 'Owned', 'Sold'];
 
 exports.handler = async (event, context) => {
     // CORS headers
     const headers = {
         'Access-Control-Allow-Origin': '*',
         'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-        'Access-Control-Allow-Methods': 'GET, OPTIONS',
+        'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
         'Content-Type': 'application/json'
     };
 
@@ -37,8 +55,7 @@ exports.handler = async (event, context) => {
         return { statusCode: 200, headers, body: '' };
     }
 
-    // Only allow GET
-    if (event.httpMethod !== 'GET') {
+    if (!['GET', 'POST', 'PUT', 'DELETE'].includes(event.httpMethod)) {
         return {
             statusCode: 405,
             headers,
@@ -49,15 +66,15 @@ exports.handler = async (event, context) => {
     // ════════════════════════════════════════════════════
     // AUTHENTICATION CHECK
     // ════════════════════════════════════════════════════
-    
+
     // Netlify Identity provides user info in context.clientContext
-    const { user } = context.clientContext || {};
+    const { user } = (context && context.clientContext) || {};
 
     if (!user) {
         return {
             statusCode: 401,
             headers,
-            body: JSON.stringify({ 
+            body: JSON.stringify({
                 error: 'Unauthorized',
                 message: 'Please log in to view winners'
             })
@@ -72,9 +89,9 @@ exports.handler = async (event, context) => {
     // Set ALLOWED_EMAILS env var in Netlify dashboard
     // Format: "email1@example.com,email2@example.com"
     // ════════════════════════════════════════════════════
-    
+
     const allowedEmailsEnv = process.env.ALLOWED_EMAILS || '';
-    
+
     if (allowedEmailsEnv) {
         const allowedEmails = allowedEmailsEnv
             .split(',')
@@ -85,7 +102,7 @@ exports.handler = async (event, context) => {
             return {
                 statusCode: 403,
                 headers,
-                body: JSON.stringify({ 
+                body: JSON.stringify({
                     error: 'Forbidden',
                     message: 'Your email is not authorized to view winners'
                 })
@@ -94,17 +111,180 @@ exports.handler = async (event, context) => {
     }
 
     // ════════════════════════════════════════════════════
-    // SUCCESS: Return winners data
+    // CRUD
     // ════════════════════════════════════════════════════
-    
+
+    try {
+        const store = createStore(STORE_NAME, event);
+        const key = `user:${user.sub || userEmail.toLowerCase()}`;
+        const body = ['POST', 'PUT'].includes(event.httpMethod) ? parseBody(event) : null;
+
+        // The whole list is one blob: write it back only if nobody else
+        // wrote in between, and start over from a fresh read if they did
+        let result = null;
+        for (let attempt = 0; attempt < MAX_WRITE_ATTEMPTS && !result; attempt++) {
+            const entry = await store.getEntry(key);
+            const data = entry ? entry.value : { winners: {} };
+
+            let outcome;
+            switch (event.httpMethod) {
+                case 'GET':
+                    outcome = listWinners(data, userEmail);
+                    break;
+                case 'POST':
+                    outcome = writeWinner(data, body, { createOnly: true });
+                    break;
+                case 'PUT':
+                    outcome = writeWinner(data, body, { createOnly: false });
+                    break;
+                case 'DELETE':
+                    outcome = deleteWinner(data, event.queryStringParameters || {});
+                    break;
+            }
+
+            if (!outcome.changed || await store.set(key, data, entry ? { onlyIfMatch: entry.etag } : { onlyIfNew: true })) {
+                result = outcome;
+            }
+        }
+
+        if (!result) {
+            result = {
+                statusCode: 409,
+                body: { error: 'Conflict', message: 'Winners were changed by another request at the same time, please retry' }
+            };
+        }
+
+        return {
+            statusCode: result.statusCode,
+            headers,
+            body: JSON.stringify(result.body)
+        };
+    } catch (error) {
+        if (error.status === 400) {
+            return { statusCode: 400, headers, body: JSON.stringify({ error: error.message }) };
+        }
+        if (error.code === 'STORE_UNAVAILABLE') {
+            console.error('Winners storage unavailable:', error.message);
+            return { statusCode: 500, headers, body: JSON.stringify({ error: error.message }) };
+        }
+        console.error('Winners failed:', error);
+        return {
+            statusCode: 500,
+            headers,
+            body: JSON.stringify({ error: 'Internal server error', message: error.message })
+        };
+    }
+};
+
+function parseBody(event) {
+    try {
+        return JSON.parse(event.body || '{}');
+    } catch (e) {
+        throw badRequest('Invalid JSON body');
+    }
+}
+
+function badRequest(message) {
+    const err = new Error(message);
+    err.status = 400;
+    return err;
+}
+
+function normalizeDomain(domain) {
+    const d = String(domain || '').trim().toLowerCase();
+    if (!d) throw badRequest('domain is required');
+    if (d.length > 253 || /\s/.test(d)) throw badRequest(`Invalid domain "${domain}"`);
+    return d;
+}
+
+// Deleted records stay as tombstones so other devices learn about the delete
+function listWinners(data, userEmail) {
+    const all = Object.values(data.winners);
+    const winners = all.filter(w => !w.deleted);
+    const deleted = all.filter(w => w.deleted).map(w => ({ domain: w.domain, version: w.version, updatedAt: w.updatedAt }));
+
     return {
         statusCode: 200,
-        headers,
-        body: JSON.stringify({
+        body: {
             success: true,
             user: userEmail,
-            count: WINNERS.length,
-            winners: WINNERS
-        })
+            count: winners.length,
+            winners,
+            deleted
+        }
     };
-};
+}
+
+// current is the server copy (a tombstone when it was deleted elsewhere)
+function conflict(message, current) {
+    return {
+        statusCode: 409,
+        body: { error: 'Conflict', message, current }
+    };
+}
+
+function writeWinner(data, body, { createOnly }) {
+    const domain = normalizeDomain(body.domain);
+    const current = data.winners[domain];
+    const exists = current && !current.deleted;
+
+    if (createOnly && exists) {
+        return conflict(`${domain} is already in your winners`, current);
+    }
+
+    if (body.baseVersion !== undefined && body.baseVersion !== null && current && body.baseVersion !== current.version) {
+        return conflict(`${domain} was changed elsewhere`, current);
+    }
+
+    if (!exists && Object.values(data.winners).filter(w => !w.deleted).length >= MAX_WINNERS) {
+        throw badRequest(`Winners limit reached (${MAX_WINNERS})`);
+    }
+
+    const record = { domain };
+    for (const field of WINNER_FIELDS) {
+        const value = body[field] !== undefined ? body[field] : (exists ? current[field] : '');
+        record[field] = String(value ?? '').slice(0, MAX_FIELD_LENGTH);
+    }
+    if (!STATUSES.includes(record.status)) record.status = 'Want';
+    if (!record.date) record.date = new Date().toISOString().split('T')[0];
+
+    // Keep the client's edit time so conflicts can be settled by the newest edit
+    const edited = Date.parse(body.updatedAt);
+    record.updatedAt = isNaN(edited) ? new Date().toISOString() : new Date(edited).toISOString();
+    record.version = (current ? current.version : 0) + 1;
+
+    data.winners[domain] = record;
+
+    return {
+        statusCode: exists ? 200 : 201,
+        changed: true,
+        body: { success: true, winner: record }
+    };
+}
+
+function deleteWinner(data, params) {
+    const domain = normalizeDomain(params.domain);
+    const current = data.winners[domain];
+
+    if (!current || current.deleted) {
+        return { statusCode: 404, body: { error: 'Not found', message: `${domain} is not in your winners` } };
+    }
+
+    const baseVersion = params.baseVersion !== undefined ? parseInt(params.baseVersion, 10) : null;
+    if (baseVersion !== null && !isNaN(baseVersion) && baseVersion !== current.version) {
+        return conflict(`${domain} was changed elsewhere`, current);
+    }
+
+    data.winners[domain] = {
+        domain,
+        deleted: true,
+        updatedAt: new Date().toISOString(),
+        version: current.version + 1
+    };
+
+    return {
+        statusCode: 200,
+        changed: true,
+        body: { success: true, domain, version: current.version + 1 }
+    };
+}
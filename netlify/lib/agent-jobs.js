@@ -0,0 +1,168 @@
+/**
+ * Agent Job Store
+ *
+ * generate_and_score runs as a job: agent.js validates the request, stores
+ * the candidates and hands the job to agent-background.js, which scores it
+ * in batches and saves progress (batches done, partial top-K, errors) as it
+ * goes. The client polls GET /agent?jobId=... until the job finishes.
+ *
+ * Keys in the "agent-jobs" store:
+ *   job:<id>         - job record (status, progress, top-K so far)
+ *   candidates:<id>  - candidate list, deleted once the job finishes
+ *   cancel:<id>      - cancel flag, kept out of the job record so the
+ *                      worker's progress writes can't overwrite it
+ *
+ * The store must be shared by every function instance (Netlify Blobs, see
+ * store.js): the worker usually runs on a different instance from agent.js.
+ * A job still queued after AGENT_QUEUED_TIMEOUT_SECONDS was never picked up
+ * and is reported as failed.
+ *
+ * Env:
+ *   AGENT_WORKER_URL               - Override the worker endpoint (default: <site>/.netlify/functions/agent-background)
+ *   AGENT_QUEUED_TIMEOUT_SECONDS   - How long a job may sit queued with no progress (default 90)
+ */
+
+const crypto = require('crypto');
+const { createStore } = require('./store');
+
+const STORE_NAME = 'agent-jobs';
+const WORKER_PATH = '/.netlify/functions/agent-background';
+const MAX_JOB_ERRORS = 20;
+const FINISHED_STATUSES = ['done', 'cancelled', 'failed'];
+const JOB_ID_PATTERN = /^[0-9a-f-]{36}$/;
+const QUEUED_TIMEOUT_MS = (parseInt(process.env.AGENT_QUEUED_TIMEOUT_SECONDS, 10) || 90) * 1000;
+const STALE_ERROR = 'The scoring worker never picked up this job';
+
+function openJobStore(event) {
+    const store = createStore(STORE_NAME, event);
+
+    return {
+        async create(fields, candidates) {
+            const now = new Date().toISOString();
+            const job = {
+                id: crypto.randomUUID(),
+                status: 'queued',
+                batchesDone: 0,
+                scoredCount: 0,
+                results: [],
+                errors: [],
+                error: null,
+                createdAt: now,
+                startedAt: null,
+                updatedAt: now,
+                finishedAt: null,
+                ...fields
+            };
+            await store.set(`candidates:${job.id}`, candidates);
+            await store.set(`job:${job.id}`, job);
+            return job;
+        },
+        get(id) {
+            return store.get(`job:${id}`);
+        },
+        async save(job) {
+            job.updatedAt = new Date().toISOString();
+            await store.set(`job:${job.id}`, job);
+        },
+        async getCandidates(id) {
+            return (await store.get(`candidates:${id}`)) || [];
+        },
+        async requestCancel(id) {
+            await store.set(`cancel:${id}`, true);
+        },
+        async isCancelRequested(id) {
+            return (await store.get(`cancel:${id}`)) === true;
+        },
+        // Drop everything but the job record once it has finished
+        async cleanup(id) {
+            await store.delete(`candidates:${id}`);
+            await store.delete(`cancel:${id}`);
+        }
+    };
+}
+
+function isValidJobId(id) {
+    return typeof id === 'string' && JOB_ID_PATTERN.test(id);
+}
+
+function isFinished(job) {
+    return FINISHED_STATUSES.includes(job.status);
+}
+
+// Queued (or re-queued by a worker) and untouched for longer than the timeout
+function isStale(job, now = Date.now()) {
+    return job.status === 'queued' && now - Date.parse(job.updatedAt) > QUEUED_TIMEOUT_MS;
+}
+
+// Record a stale job as failed so a worker that turns up late leaves it alone
+function failStaleJob(job) {
+    job.status = 'failed';
+    job.error = STALE_ERROR;
+    job.finishedAt = new Date().toISOString();
+    return job;
+}
+
+function addJobError(job, batch, message) {
+    if (job.errors.length >= MAX_JOB_ERRORS) job.errors.shift();
+    job.errors.push({ batch, message, at: new Date().toISOString() });
+}
+
+function getWorkerUrl(event) {
+    if (process.env.AGENT_WORKER_URL) return process.env.AGENT_WORKER_URL;
+
+    const headers = (event && event.headers) || {};
+    const origin = process.env.URL || (headers.host
+        ? `${headers['x-forwarded-proto'] || 'https'}://${headers.host}`
+        : '');
+    return origin + WORKER_PATH;
+}
+
+// Background functions answer 202 right away and keep running
+async function startWorker(workerUrl, jobId) {
+    const response = await fetch(workerUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ jobId })
+    });
+
+    if (!response.ok) {
+        throw new Error(`Agent worker returned HTTP ${response.status}`);
+    }
+}
+
+// Public view of a job (no candidates, presets or worker URL); stale jobs read as failed
+function toJobStatus(job, now = Date.now()) {
+    const stale = isStale(job, now);
+    return {
+        jobId: job.id,
+        status: stale ? 'failed' : job.status,
+        engine: job.engine,
+        model: job.model,
+        multiPreset: job.multiPreset,
+        presetIds: job.multiPreset ? job.presetIds : undefined,
+        totalGenerated: job.totalGenerated,
+        totalBatches: job.totalBatches,
+        batchesDone: job.batchesDone,
+        scoredCount: job.scoredCount,
+        count: job.results.length,
+        results: job.results,
+        errors: job.errors,
+        error: stale ? STALE_ERROR : job.error,
+        createdAt: job.createdAt,
+        startedAt: job.startedAt,
+        updatedAt: job.updatedAt,
+        finishedAt: job.finishedAt
+    };
+}
+
+module.exports = {
+    openJobStore,
+    isValidJobId,
+    isFinished,
+    isStale,
+    failStaleJob,
+    addJobError,
+    getWorkerUrl,
+    startWorker,
+    toJobStatus
+};
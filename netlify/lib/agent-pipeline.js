@@ -0,0 +1,348 @@
+/**
+ * AI Agent Pipeline
+ *
+ * LLM scoring shared by agent.js (request validation, generation, job
+ * status) and agent-background.js (the job worker). Candidates come from
+ * shared/gen-engine.js, the same engine the browser runs.
+ *
+ * The batch scorers throw on any failure (HTTP error, unparseable reply)
+ * so the worker can record the error against the batch; heuristicResults()
+ * scores it offline instead. It is also the whole scorer in fast mode and
+ * when no LLM is configured.
+ */
+
+const { scoreDomain, presetOptions } = require('../../shared/heuristic-score');
+const { createReplyMatcher } = require('../../shared/tlds');
+const { completionRequest } = require('./llm');
+
+const BUCKETS = ['FAST-FLIP', 'HOLD', 'PASS'];
+
+// Single-preset scoring prompt
+const SCORING_PROMPT = `You are an expert domain name appraiser. Score each domain for resale value and brandability.
+
+SCORING RUBRIC (total 0-10):
+- Brandability (0-3.5): Short, clean, "company name" feel. Premium if 6-10 chars, one or two syllables.
+- Pronunciation (0-2): One obvious way to say it aloud. No ambiguity.
+- Spelling (0-1.5): One obvious way to spell it. No confusion with homophones.
+- Native meaning (0-1): No weird, negative, or embarrassing connotations in English.
+- Buyer intent (0-2): Clear fit for the target niche described below.
+
+PENALTIES (subtract from total):
+- Contains hyphens or numbers: -2
+- Awkward consonant clusters (e.g., "xkcd", "bdfg"): -1
+- Spam/scam/compliance red flags (e.g., "guarantee", "instant", "free"): -1 to -3
+- Trademark-like words: -2 or PASS
+
+BUCKETS:
+- FAST-FLIP: Score >= 7 (high resale potential, move quickly)
+- HOLD: Score 4-6.9 (decent value, may need right buyer)
+- PASS: Score < 4 (not worth pursuing)
+
+OUTPUT FORMAT:
+Return ONLY a valid JSON array with no extra text. Write each domain exactly as listed, TLD included. Each element:
+{"domain": "example.com", "score": 7.5, "bucket": "FAST-FLIP", "reason": "Short, memorable, clear pronunciation", "use_case": "B2B fintech", "templateUsed": "A+B"}`;
+
+// Multi-preset scoring prompt
+const MULTI_PRESET_PROMPT = `You are an expert domain name appraiser. Score each domain against MULTIPLE buyer personas.
+
+SCORING RUBRIC (adjusted by preset weights, total 0-10):
+- Brandability: Short, clean, "company name" feel
+- Pronunciation: One obvious way to say it
+- Spelling: One obvious way to spell it
+- Native meaning: No weird or negative connotations
+- Buyer intent: Fit for the specific persona's niche
+
+PENALTIES:
+- Hyphens or numbers: -2
+- Awkward consonant clusters: -1
+- Spam/scam red flags: -1 to -3
+
+BUCKETS (per preset):
+- FAST-FLIP: Score >= 7
+- HOLD: Score 4-6.9
+- PASS: Score < 4
+
+OUTPUT FORMAT:
+Return ONLY a valid JSON array. Write each domain exactly as listed, TLD included. Each element:
+{
+  "domain": "example.com",
+  "templateUsed": "A+B",
+  "resultsByPreset": {
+    "PRESET_ID_1": {"score": 7.5, "bucket": "FAST-FLIP", "reason": "...", "use_case": "..."},
+    "PRESET_ID_2": {"score": 6.0, "bucket": "HOLD", "reason": "...", "use_case": "..."}
+  }
+}
+
+BUYER PERSONAS:
+{{PERSONAS}}
+
+DOMAINS TO SCORE:
+{{DOMAINS}}`;
+
+const MODE_CONTEXT = {
+    lenders: 'Target: lending companies, mortgage providers, fintech lenders. Value trust, stability, professional lending.',
+    payments: 'Target: payment processors, fintech payments. Value speed, security, seamless transactions.',
+    ads: 'Target: advertising, ad-tech, digital marketing. Value reach, performance, marketing power.',
+    brandable: 'Target: any startup seeking memorable brand. Value short, catchy, versatile names.'
+};
+
+// Single-preset batch scoring (legacy)
+// llm is a getLlmConfig() result, model an already-whitelisted model name
+async function scoreSingleBatch(batch, mode, llm, model) {
+    const modeContext = MODE_CONTEXT[mode] || MODE_CONTEXT.brandable;
+    const domainList = batch.map(c => `${c.domain} (template: ${c.template})`).join('\n');
+
+    const prompt = `${SCORING_PROMPT}
+
+TARGET NICHE:
+${modeContext}
+
+DOMAINS TO SCORE:
+${domainList}`;
+
+    const content = await requestCompletion(llm, {
+        model,
+        messages: [
+            { role: 'system', content: 'You are an expert domain appraiser. Return ONLY valid JSON array.' },
+            { role: 'user', content: prompt }
+        ],
+        maxTokens: llm.maxTokens
+    });
+
+    const scores = parseJsonArray(content);
+    const match = createReplyMatcher(batch.map(c => c.domain));
+    const scoreMap = {};
+    for (const s of scores) {
+        const domain = match(s.domain);
+        if (domain) scoreMap[domain] = s;
+    }
+
+    return batch.map(c => {
+        const s = scoreMap[c.domain] || {};
+        return {
+            domain: c.domain,
+            score: Math.min(10, Math.max(0, parseFloat(s.score) || 0)),
+            bucket: BUCKETS.includes(s.bucket) ? s.bucket : 'PASS',
+            reason: String(s.reason || '').slice(0, 200),
+            use_case: String(s.use_case || '').slice(0, 50),
+            templateUsed: c.template,
+            sources: c.sources
+        };
+    });
+}
+
+// Multi-preset batch scoring
+async function scoreMultiPresetBatch(batch, presetIds, presetMap, llm, model) {
+    // Build personas description
+    const personas = presetIds.map((id, i) => {
+        const p = presetMap[id] || { name: `Preset ${i + 1}`, description: 'General brandable domains' };
+        const w = p.weights || {};
+        const c = p.constraints || {};
+        const banned = (p.bannedSubstrings || []).slice(0, 5).join(', ');
+
+        return `${i + 1}) ID: "${id}" - ${p.name}
+   Description: ${p.description || 'Brandable domains'}
+   Max length: ${c.maxLen || 12}
+   Weights: brandability=${w.brandability || 3.5}, pronunciation=${w.pronunciation || 2}, spelling=${w.spelling || 1.5}, meaning=${w.nativeMeaning || 1}, buyerIntent=${w.buyerIntent || 2}
+   ${banned ? `Avoid: ${banned}` : ''}
+   ${p.notes ? `Notes: ${p.notes}` : ''}`;
+    }).join('\n\n');
+
+    const domainList = batch.map(c => `${c.domain} (template: ${c.template})`).join('\n');
+
+    const prompt = MULTI_PRESET_PROMPT
+        .replace('{{PERSONAS}}', personas)
+        .replace('{{DOMAINS}}', domainList);
+
+    const content = await requestCompletion(llm, {
+        model,
+        messages: [
+            { role: 'system', content: 'You are an expert domain appraiser. Score against multiple personas. Return ONLY valid JSON array.' },
+            { role: 'user', content: prompt }
+        ],
+        maxTokens: llm.maxTokensMulti
+    });
+
+    const rawResults = parseJsonArray(content);
+    const match = createReplyMatcher(batch.map(c => c.domain));
+    const resultMap = {};
+    for (const r of rawResults) {
+        const domain = match(r.domain);
+        if (domain) resultMap[domain] = r;
+    }
+
+    return batch.map(c => {
+        const r = resultMap[c.domain];
+        if (!r || !r.resultsByPreset) {
+            return createEmptyMultiResult(c, presetIds, presetMap);
+        }
+        return processMultiResult(c, r.resultsByPreset, presetIds, presetMap);
+    });
+}
+
+async function requestCompletion(llm, payload) {
+    const { url, options } = completionRequest(llm, payload);
+    const response = await fetch(url, options);
+
+    if (!response.ok) {
+        const text = await response.text();
+        console.error('LLM API error:', text);
+        const err = new Error(`LLM HTTP ${response.status}`);
+        err.status = response.status;
+        throw err;
+    }
+
+    const data = await response.json();
+    return data.choices?.[0]?.message?.content || '';
+}
+
+function parseJsonArray(content) {
+    let text = content.trim();
+    if (text.startsWith('```')) {
+        text = text.replace(/```json?\n?/g, '').replace(/```$/g, '').trim();
+    }
+
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch (e) {
+        throw new Error('Model returned invalid JSON');
+    }
+    if (!Array.isArray(parsed)) throw new Error('Model did not return a JSON array');
+    return parsed;
+}
+
+/**
+ * Score a batch with the offline heuristic scorer.
+ * @param {Array} batch - Candidates ({ domain, template, sources })
+ * @param {{ mode?: string, multiPreset?: boolean, presetIds?: string[], presetMap?: object }} job
+ * @param {string} [note] - Prefix for each reason, e.g. why the LLM wasn't used
+ */
+function heuristicResults(batch, job, note) {
+    const prefix = note ? `${note}: ` : '';
+
+    if (job.multiPreset) {
+        return batch.map(c => {
+            const resultsByPreset = {};
+            for (const id of job.presetIds) {
+                const h = scoreDomain(c.domain, presetOptions(job.presetMap[id] || { id }));
+                resultsByPreset[id] = { ...h, reason: prefix + h.reason };
+            }
+            return processMultiResult(c, resultsByPreset, job.presetIds, job.presetMap);
+        });
+    }
+
+    return batch.map(c => {
+        const h = scoreDomain(c.domain, { mode: job.mode });
+        return {
+            domain: c.domain,
+            score: h.score,
+            bucket: h.bucket,
+            reason: (prefix + h.reason).slice(0, 200),
+            use_case: h.use_case,
+            templateUsed: c.template,
+            sources: c.sources
+        };
+    });
+}
+
+// Multi-preset: bestScore desc, then avgScore desc
+function sortScores(scores, multiPreset) {
+    if (multiPreset) {
+        return scores.sort((a, b) => {
+            if (b.bestScore !== a.bestScore) return b.bestScore - a.bestScore;
+            return b.avgScore - a.avgScore;
+        });
+    }
+    return scores.sort((a, b) => b.score - a.score);
+}
+
+function createEmptyMultiResult(candidate, presetIds, presetMap) {
+    const scoreByPreset = {};
+    for (const id of presetIds) scoreByPreset[id] = 0;
+    return {
+        domain: candidate.domain,
+        templateUsed: candidate.template,
+        sources: candidate.sources,
+        bestPresetId: presetIds[0],
+        bestPresetName: presetMap[presetIds[0]]?.name || presetIds[0],
+        bestScore: 0,
+        avgScore: 0,
+        maxScore: 0,
+        bucket: 'PASS',
+        reason: 'Scoring failed',
+        use_case: '',
+        scoreByPreset
+    };
+}
+
+function processMultiResult(candidate, resultsByPreset, presetIds, presetMap) {
+    let bestScore = 0;
+    let bestPresetId = presetIds[0];
+    let bestBucket = 'PASS';
+    let bestReason = '';
+    let bestUseCase = '';
+    const scoreByPreset = {};
+    const scores = [];
+
+    for (const pid of presetIds) {
+        const result = resultsByPreset[pid] || {};
+        const score = Math.min(10, Math.max(0, parseFloat(result.score) || 0));
+        scoreByPreset[pid] = Math.round(score * 10) / 10;
+        scores.push(score);
+
+        if (score > bestScore) {
+            bestScore = score;
+            bestPresetId = pid;
+            bestBucket = BUCKETS.includes(result.bucket) ? result.bucket : 'PASS';
+            bestReason = String(result.reason || '').slice(0, 200);
+            bestUseCase = String(result.use_case || '').slice(0, 50);
+        }
+    }
+
+    const avgScore = scores.length > 0 ? scores.reduce((a, b) => a + b, 0) / scores.length : 0;
+
+    // Determine final bucket
+    let finalBucket;
+    if (bestScore >= 8.0) {
+        finalBucket = 'FAST-FLIP';
+    } else if (bestScore >= 7.0) {
+        finalBucket = bestBucket === 'FAST-FLIP' ? 'FAST-FLIP' : 'HOLD';
+    } else if (bestScore >= 4.0) {
+        finalBucket = 'HOLD';
+    } else {
+        finalBucket = 'PASS';
+    }
+
+    return {
+        domain: candidate.domain,
+        templateUsed: candidate.template,
+        sources: candidate.sources,
+        bestPresetId,
+        bestPresetName: presetMap[bestPresetId]?.name || bestPresetId,
+        bestScore: Math.round(bestScore * 10) / 10,
+        avgScore: Math.round(avgScore * 10) / 10,
+        maxScore: Math.round(bestScore * 10) / 10,
+        bucket: finalBucket,
+        reason: bestReason,
+        use_case: bestUseCase,
+        scoreByPreset
+    };
+}
+
+function chunkArray(arr, size) {
+    const chunks = [];
+    for (let i = 0; i < arr.length; i += size) {
+        chunks.push(arr.slice(i, i + size));
+    }
+    return chunks;
+}
+
+module.exports = {
+    MODE_CONTEXT,
+    scoreSingleBatch,
+    scoreMultiPresetBatch,
+    heuristicResults,
+    sortScores,
+    chunkArray
+};
@@ -0,0 +1,97 @@
+/**
+ * LLM Backend Config
+ *
+ * score.js and the agent talk to any OpenAI-compatible chat completions
+ * server: OpenAI itself, or an on-prem / local one (llama.cpp server,
+ * Ollama, vLLM, a test stub).
+ *
+ * Env:
+ *   LLM_BASE_URL          - API root, "/chat/completions" is appended (default: https://api.openai.com/v1)
+ *   LLM_API_KEY           - Bearer token (falls back to OPENAI_API_KEY; optional for non-OpenAI servers)
+ *   LLM_MODEL             - Default model (gpt-4o-mini)
+ *   LLM_TEMPERATURE       - Sampling temperature (0.3)
+ *   LLM_MAX_TOKENS        - Token limit for single-preset scoring (4000)
+ *   LLM_MAX_TOKENS_MULTI  - Token limit for multi-preset scoring (8000)
+ *   LLM_ALLOWED_MODELS    - Comma-separated models a request may pick instead of the default
+ */
+
+const OPENAI_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_MODEL = 'gpt-4o-mini';
+const DEFAULT_TEMPERATURE = 0.3;
+const DEFAULT_MAX_TOKENS = 4000;
+const DEFAULT_MAX_TOKENS_MULTI = 8000;
+
+function numberFromEnv(value, fallback) {
+    const n = parseFloat(value);
+    return isNaN(n) ? fallback : n;
+}
+
+function getLlmConfig(env = process.env) {
+    const baseUrl = (env.LLM_BASE_URL || OPENAI_BASE_URL).replace(/\/+$/, '');
+    const model = env.LLM_MODEL || DEFAULT_MODEL;
+    const allowed = (env.LLM_ALLOWED_MODELS || '')
+        .split(',')
+        .map(m => m.trim())
+        .filter(m => m);
+
+    return {
+        baseUrl,
+        apiKey: env.LLM_API_KEY || env.OPENAI_API_KEY || '',
+        model,
+        temperature: numberFromEnv(env.LLM_TEMPERATURE, DEFAULT_TEMPERATURE),
+        maxTokens: Math.round(numberFromEnv(env.LLM_MAX_TOKENS, DEFAULT_MAX_TOKENS)),
+        maxTokensMulti: Math.round(numberFromEnv(env.LLM_MAX_TOKENS_MULTI, DEFAULT_MAX_TOKENS_MULTI)),
+        // The default model is always selectable
+        allowedModels: [model, ...allowed.filter(m => m !== model)],
+        // OpenAI needs a key; local servers usually don't
+        configured: baseUrl !== OPENAI_BASE_URL || !!(env.LLM_API_KEY || env.OPENAI_API_KEY)
+    };
+}
+
+/**
+ * Pick the model for a request.
+ * Throws an Error with status 400 when the requested model isn't whitelisted.
+ */
+function resolveModel(requested, config) {
+    if (!requested) return config.model;
+
+    const model = String(requested).trim();
+    if (!config.allowedModels.includes(model)) {
+        const err = new Error(`Model "${model}" is not allowed. Allowed: ${config.allowedModels.join(', ')}`);
+        err.status = 400;
+        throw err;
+    }
+    return model;
+}
+
+/**
+ * Build the fetch() arguments for a chat completion.
+ * @param {object} config - getLlmConfig() result
+ * @param {{ model?: string, messages: Array, maxTokens?: number }} request
+ * @returns {{ url: string, options: object }}
+ */
+function completionRequest(config, { model, messages, maxTokens }) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (config.apiKey) headers['Authorization'] = `Bearer ${config.apiKey}`;
+
+    return {
+        url: `${config.baseUrl}/chat/completions`,
+        options: {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({
+                model: model || config.model,
+                messages,
+                temperature: config.temperature,
+                max_tokens: maxTokens || config.maxTokens
+            })
+        }
+    };
+}
+
+// What the UI may show in its model picker
+function publicModelInfo(config) {
+    return { defaultModel: config.model, models: config.allowedModels };
+}
+
+module.exports = { getLlmConfig, resolveModel, completionRequest, publicModelInfo };
@@ -0,0 +1,80 @@
+/**
+ * Premium / Aftermarket Classifier
+ *
+ * Decides whether an available result is a premium or aftermarket name:
+ *   1. The provider's premium flag wins whenever it is present (true/false)
+ *   2. Otherwise aftermarket wording in the provider response
+ *   3. Otherwise a per-TLD registration price threshold
+ *
+ * Env:
+ *   PREMIUM_PRICE_THRESHOLD   - Default threshold in USD (100)
+ *   PREMIUM_PRICE_THRESHOLDS  - Per-TLD overrides as JSON, e.g. {"ai":250,"io":150}
+ */
+
+const DEFAULT_THRESHOLD = 100;
+
+// Standard registration for these TLDs is well above the default threshold
+const TLD_THRESHOLDS = {
+    ai: 250,
+    io: 150
+};
+
+const AFTERMARKET_PATTERNS = [
+    { pattern: /\bauction/i, label: 'auction' },
+    { pattern: /\bfor[\s_-]?sale\b/i, label: 'for sale' },
+    { pattern: /\bmake[\s_-]?(an[\s_-]?)?offer\b/i, label: 'make offer' },
+    { pattern: /\baftermarket\b/i, label: 'aftermarket' }
+];
+
+function getThresholds() {
+    let overrides = {};
+    try {
+        overrides = JSON.parse(process.env.PREMIUM_PRICE_THRESHOLDS || '{}');
+    } catch (e) {
+        console.error('Invalid PREMIUM_PRICE_THRESHOLDS:', e.message);
+    }
+    const base = parseFloat(process.env.PREMIUM_PRICE_THRESHOLD);
+    return {
+        default: isNaN(base) ? DEFAULT_THRESHOLD : base,
+        ...TLD_THRESHOLDS,
+        ...overrides
+    };
+}
+
+/**
+ * @param {object} result - Adapter result ({ domain, available, price, premium, ... })
+ * @param {string} providerText - Raw provider fields to scan for aftermarket wording
+ * @returns {{ premium: boolean, premiumReason: string|null }}
+ */
+function classifyPremium(result, providerText) {
+    if (result.premium === true) {
+        return { premium: true, premiumReason: 'Flagged premium by provider' };
+    }
+    if (result.premium === false) {
+        return { premium: false, premiumReason: null };
+    }
+
+    if (providerText) {
+        const hit = AFTERMARKET_PATTERNS.find(p => p.pattern.test(providerText));
+        if (hit) {
+            return { premium: true, premiumReason: `Aftermarket listing: ${hit.label}` };
+        }
+    }
+
+    if (result.available && typeof result.price === 'number') {
+        const tld = result.domain.split('.').pop().toLowerCase();
+        const thresholds = getThresholds();
+        const threshold = tld in thresholds ? thresholds[tld] : thresholds.default;
+
+        if (result.price > threshold) {
+            return {
+                premium: true,
+                premiumReason: `Price ${result.price.toFixed(2)} above .${tld} threshold ${threshold}`
+            };
+        }
+    }
+
+    return { premium: false, premiumReason: null };
+}
+
+module.exports = { classifyPremium, getThresholds };
@@ -0,0 +1,78 @@
+/**
+ * Registrar Adapter: Dynadot
+ *
+ * Uses the api3.json "search" command with show_price=1.
+ * Dynadot returns the price as a human-readable string
+ * (e.g. "8.99 in USD"), so it is parsed here.
+ *
+ * Env:
+ *   DOMAIN_API_KEY    - API key
+ *   DYNADOT_API_URL   - Override endpoint (local stub)
+ */
+
+const DEFAULT_API_URL = 'https://api.dynadot.com/api3.json';
+const BUY_URL = 'https://www.dynadot.com/domain/search?domain=';
+
+function configFromEnv(env) {
+    return {
+        apiKey: env.DOMAIN_API_KEY,
+        currency: env.DYNADOT_CURRENCY || 'USD',
+        baseUrl: env.DYNADOT_API_URL || DEFAULT_API_URL
+    };
+}
+
+async function check(domain, config) {
+    const query = new URLSearchParams({
+        key: config.apiKey || '',
+        command: 'search',
+        domain0: domain,
+        show_price: '1',
+        currency: config.currency || 'USD'
+    });
+
+    const response = await fetch(`${config.baseUrl}?${query}`);
+
+    if (!response.ok) {
+        const err = new Error(`Dynadot HTTP ${response.status}`);
+        err.status = response.status;
+        throw err;
+    }
+
+    const data = await response.json();
+    const search = data.SearchResponse || {};
+
+    if (search.ResponseCode !== undefined && String(search.ResponseCode) !== '0') {
+        throw new Error(`Dynadot error: ${search.Error || 'Unknown error'}`);
+    }
+
+    const row = (search.SearchResults || [])
+        .find(r => (r.DomainName || '').toLowerCase() === domain.toLowerCase());
+
+    if (!row) {
+        throw new Error(`Dynadot returned no result for ${domain}`);
+    }
+
+    if (row.Status && row.Status !== 'success') {
+        throw new Error(`Dynadot error: ${row.Status}`);
+    }
+
+    const available = String(row.Available).toLowerCase() === 'yes';
+    const priceText = row.Price || '';
+    const priceMatch = priceText.match(/([\d,]+(?:\.\d+)?)\s*in\s*([A-Z]{3})/);
+
+    return {
+        domain: domain,
+        available: available,
+        price: available && priceMatch ? parseFloat(priceMatch[1].replace(/,/g, '')) : null,
+        currency: priceMatch ? priceMatch[2] : (config.currency || 'USD'),
+        premium: /premium/i.test(priceText) ? !/is premium:\s*no/i.test(priceText) : null,
+        registrar: 'Dynadot',
+        buyUrl: BUY_URL + encodeURIComponent(domain),
+        checkedAt: new Date().toISOString(),
+        method: 'registrar',
+        confidence: 'verified',
+        providerText: JSON.stringify(row)
+    };
+}
+
+module.exports = { name: 'dynadot', configFromEnv, check };
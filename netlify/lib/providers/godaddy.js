@@ -0,0 +1,64 @@
+/**
+ * Registrar Adapter: GoDaddy
+ *
+ * Uses GET /v1/domains/available. Prices are returned in micro-units
+ * (1,000,000 = 1.00) of the account currency.
+ *
+ * Env:
+ *   DOMAIN_API_KEY     - API key
+ *   DOMAIN_API_SECRET  - API secret
+ *   GODADDY_API_URL    - Override base URL (OTE or local stub)
+ */
+
+const DEFAULT_API_URL = 'https://api.godaddy.com';
+const BUY_URL = 'https://www.godaddy.com/domainsearch/find?domainToCheck=';
+
+function configFromEnv(env) {
+    return {
+        apiKey: env.DOMAIN_API_KEY,
+        apiSecret: env.DOMAIN_API_SECRET,
+        baseUrl: env.GODADDY_API_URL || DEFAULT_API_URL
+    };
+}
+
+async function check(domain, config) {
+    const query = new URLSearchParams({ domain: domain, checkType: 'FAST' });
+
+    const response = await fetch(`${config.baseUrl}/v1/domains/available?${query}`, {
+        headers: {
+            'Authorization': `sso-key ${config.apiKey}:${config.apiSecret || ''}`,
+            'Accept': 'application/json'
+        }
+    });
+
+    if (!response.ok) {
+        let detail = '';
+        try {
+            const data = await response.json();
+            detail = data.message || data.code || '';
+        } catch (e) { }
+
+        const err = new Error(`GoDaddy HTTP ${response.status}${detail ? ': ' + detail : ''}`);
+        err.status = response.status;
+        throw err;
+    }
+
+    const data = await response.json();
+    const available = data.available === true;
+
+    return {
+        domain: domain,
+        available: available,
+        price: available && data.price ? Math.round(data.price / 10000) / 100 : null,
+        currency: data.currency || 'USD',
+        premium: null, // Not reported by this endpoint
+        registrar: 'GoDaddy',
+        buyUrl: BUY_URL + encodeURIComponent(domain),
+        checkedAt: new Date().toISOString(),
+        method: 'registrar',
+        confidence: 'verified',
+        providerText: JSON.stringify(data)
+    };
+}
+
+module.exports = { name: 'godaddy', configFromEnv, check };
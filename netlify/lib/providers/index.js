@@ -0,0 +1,45 @@
+/**
+ * Registrar Provider Registry
+ *
+ * Every adapter exports { name, configFromEnv(env), check(domain, config) }
+ * and resolves to the shared result shape:
+ * { domain, available, price, currency, premium, registrar, buyUrl, checkedAt, method, confidence }
+ *
+ * confidence is "verified" when the answer came from a registrar (or a
+ * registry record exists) and "unverified" when availability is inferred.
+ * Adapters may add providerText (raw response fields) for the premium
+ * classifier; it is stripped before results leave the function.
+ *
+ * Adapters throw on failure; HTTP failures carry err.status so callers
+ * can react to rate limiting (429).
+ */
+
+const namecheap = require('./namecheap');
+const godaddy = require('./godaddy');
+const dynadot = require('./dynadot');
+const rdap = require('./rdap');
+
+const PROVIDERS = {
+    namecheap,
+    godaddy,
+    dynadot,
+    rdap
+};
+
+// Registrar used when an API key is set but DOMAIN_PROVIDER isn't
+const DEFAULT_PROVIDER = 'namecheap';
+// Keyless fallback - never claims verified availability
+const KEYLESS_PROVIDER = 'rdap';
+
+function getProvider(name) {
+    const key = name.trim().toLowerCase();
+    const provider = PROVIDERS[key];
+
+    if (!provider) {
+        throw new Error(`Unknown DOMAIN_PROVIDER "${name}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+
+    return provider;
+}
+
+module.exports = { PROVIDERS, DEFAULT_PROVIDER, KEYLESS_PROVIDER, getProvider };
@@ -0,0 +1,144 @@
+/**
+ * Registrar Adapter: Namecheap
+ *
+ * Uses the Namecheap XML API (namecheap.domains.check) for availability
+ * and namecheap.users.getPricing for standard registration prices.
+ *
+ * Env:
+ *   DOMAIN_API_KEY        - ApiKey
+ *   NAMECHEAP_API_USER    - ApiUser
+ *   NAMECHEAP_USERNAME    - UserName (defaults to ApiUser)
+ *   NAMECHEAP_CLIENT_IP   - Whitelisted client IP
+ *   NAMECHEAP_API_URL     - Override endpoint (sandbox or local stub)
+ */
+
+const DEFAULT_API_URL = 'https://api.namecheap.com/xml.response';
+const BUY_URL = 'https://www.namecheap.com/domains/registration/results/?domain=';
+
+// Standard prices rarely change; keep them for the lifetime of the function instance
+const pricingCache = {};
+
+function configFromEnv(env) {
+    return {
+        apiKey: env.DOMAIN_API_KEY,
+        apiUser: env.NAMECHEAP_API_USER,
+        userName: env.NAMECHEAP_USERNAME || env.NAMECHEAP_API_USER,
+        clientIp: env.NAMECHEAP_CLIENT_IP || '127.0.0.1',
+        baseUrl: env.NAMECHEAP_API_URL || DEFAULT_API_URL
+    };
+}
+
+async function check(domain, config) {
+    const xml = await callApi(config, {
+        Command: 'namecheap.domains.check',
+        DomainList: domain
+    });
+
+    const tag = findTags(xml, 'DomainCheckResult')
+        .find(attrs => (attrs.Domain || '').toLowerCase() === domain.toLowerCase());
+
+    if (!tag) {
+        throw new Error(`Namecheap returned no result for ${domain}`);
+    }
+
+    const available = tag.Available === 'true';
+    const premium = tag.IsPremiumName === 'true';
+
+    let price = null;
+    if (available) {
+        price = premium
+            ? parseFloat(tag.PremiumRegistrationPrice) || null
+            : await getStandardPrice(domain.split('.').pop(), config);
+    }
+
+    return {
+        domain: domain,
+        available: available,
+        price: price,
+        currency: 'USD',
+        premium: premium,
+        registrar: 'Namecheap',
+        buyUrl: BUY_URL + encodeURIComponent(domain),
+        checkedAt: new Date().toISOString(),
+        method: 'registrar',
+        confidence: 'verified',
+        providerText: JSON.stringify(tag)
+    };
+}
+
+/**
+ * Look up the 1-year registration price for a TLD.
+ * Pricing failures are non-fatal - availability is what matters.
+ */
+async function getStandardPrice(tld, config) {
+    if (tld in pricingCache) return pricingCache[tld];
+
+    try {
+        const xml = await callApi(config, {
+            Command: 'namecheap.users.getPricing',
+            ProductType: 'DOMAIN',
+            ProductCategory: 'REGISTER',
+            ProductName: tld.toUpperCase()
+        });
+
+        const oneYear = findTags(xml, 'Price').find(attrs => attrs.Duration === '1');
+        const price = oneYear ? parseFloat(oneYear.YourPrice || oneYear.Price) || null : null;
+        pricingCache[tld] = price;
+        return price;
+    } catch (error) {
+        console.error('Namecheap pricing failed:', error.message);
+        return null;
+    }
+}
+
+async function callApi(config, params) {
+    const query = new URLSearchParams({
+        ApiUser: config.apiUser || '',
+        ApiKey: config.apiKey || '',
+        UserName: config.userName || '',
+        ClientIp: config.clientIp || '',
+        ...params
+    });
+
+    const response = await fetch(`${config.baseUrl}?${query}`);
+
+    if (!response.ok) {
+        const err = new Error(`Namecheap HTTP ${response.status}`);
+        err.status = response.status;
+        throw err;
+    }
+
+    const xml = await response.text();
+
+    // Namecheap reports errors with HTTP 200 and Status="ERROR"
+    if (/<ApiResponse[^>]*Status="ERROR"/i.test(xml)) {
+        const match = xml.match(/<Error[^>]*>([^<]*)<\/Error>/i);
+        throw new Error(`Namecheap error: ${match ? match[1].trim() : 'Unknown error'}`);
+    }
+
+    return xml;
+}
+
+/**
+ * Minimal attribute extractor for self-closing / opening XML tags.
+ * The API responses are flat enough that a full XML parser isn't needed.
+ */
+function findTags(xml, tagName) {
+    const tagRegex = new RegExp(`<${tagName}\\b([^>]*)>`, 'g');
+    const attrRegex = /(\w+)="([^"]*)"/g;
+    const tags = [];
+    let match;
+
+    while ((match = tagRegex.exec(xml)) !== null) {
+        const attrs = {};
+        let attr;
+        while ((attr = attrRegex.exec(match[1])) !== null) {
+            attrs[attr[1]] = attr[2];
+        }
+        tags.push(attrs);
+    }
+
+    return tags;
+}
+
+module.exports = { name: 'namecheap', configFromEnv, check };
@@ -0,0 +1,103 @@
+/**
+ * Registry Adapter: RDAP (keyless)
+ *
+ * Queries the registry's RDAP server directly. No API key and no prices:
+ *   404        -> no registration record, "likely available" (unverified)
+ *   200        -> record exists, registered (verified)
+ * A missing record doesn't rule out reserved or premium registry names,
+ * so available results are never reported as verified.
+ *
+ * Env:
+ *   RDAP_BASE_URL  - Send every lookup to this server (local RDAP stand-in)
+ *   RDAP_TIMEOUT   - Per-lookup timeout in ms (default 8000)
+ */
+
+const IANA_BOOTSTRAP_URL = 'https://data.iana.org/rdap/dns.json';
+const BUY_URL = 'https://www.namecheap.com/domains/registration/results/?domain=';
+
+// Bootstrap table for the TLDs the app generates; anything else is
+// resolved through the IANA bootstrap file.
+const RDAP_SERVERS = {
+    com: 'https://rdap.verisign.com/com/v1/',
+    net: 'https://rdap.verisign.com/net/v1/',
+    org: 'https://rdap.publicinterestregistry.org/rdap/',
+    io: 'https://rdap.identitydigital.services/rdap/',
+    ai: 'https://rdap.identitydigital.services/rdap/',
+    me: 'https://rdap.identitydigital.services/rdap/',
+    co: 'https://rdap.registry.co/co/',
+    app: 'https://pubapi.registry.google/rdap/',
+    dev: 'https://pubapi.registry.google/rdap/',
+    xyz: 'https://rdap.centralnic.com/xyz/'
+};
+
+let ianaServers = null;
+
+function configFromEnv(env) {
+    return {
+        baseUrl: env.RDAP_BASE_URL || null,
+        timeout: parseInt(env.RDAP_TIMEOUT, 10) || 8000
+    };
+}
+
+async function check(domain, config) {
+    const tld = domain.split('.').pop();
+    const server = await getServer(tld, config);
+
+    const response = await fetch(`${server}domain/${encodeURIComponent(domain)}`, {
+        headers: { 'Accept': 'application/rdap+json, application/json' },
+        signal: AbortSignal.timeout(config.timeout || 8000)
+    });
+
+    let available;
+    if (response.status === 404) {
+        available = true;
+    } else if (response.ok) {
+        available = false;
+    } else {
+        const err = new Error(`RDAP HTTP ${response.status} for .${tld}`);
+        err.status = response.status;
+        throw err;
+    }
+
+    return {
+        domain: domain,
+        available: available,
+        price: null, // RDAP has no pricing
+        currency: 'USD',
+        premium: null,
+        registrar: 'Namecheap', // Buy link only
+        buyUrl: BUY_URL + encodeURIComponent(domain),
+        checkedAt: new Date().toISOString(),
+        method: 'rdap',
+        confidence: available ? 'unverified' : 'verified'
+    };
+}
+
+async function getServer(tld, config) {
+    if (config.baseUrl) {
+        return config.baseUrl.endsWith('/') ? config.baseUrl : config.baseUrl + '/';
+    }
+
+    if (RDAP_SERVERS[tld]) return RDAP_SERVERS[tld];
+
+    if (!ianaServers) {
+        const response = await fetch(IANA_BOOTSTRAP_URL);
+        if (!response.ok) {
+            throw new Error(`RDAP bootstrap failed: HTTP ${response.status}`);
+        }
+        const data = await response.json();
+        ianaServers = {};
+        (data.services || []).forEach(([tlds, urls]) => {
+            const url = urls.find(u => u.startsWith('https://')) || urls[0];
+            tlds.forEach(t => { ianaServers[t.toLowerCase()] = url.endsWith('/') ? url : url + '/'; });
+        });
+    }
+
+    if (!ianaServers[tld]) {
+        throw new Error(`No RDAP server known for .${tld}`);
+    }
+
+    return ianaServers[tld];
+}
+
+module.exports = { name: 'rdap', configFromEnv, check };
@@ -0,0 +1,141 @@
+/**
+ * Key/Value Store
+ *
+ * JSON store used by the functions for anything that must outlive a
+ * single invocation. Backed by Netlify Blobs, so every function instance
+ * sees the same data. Local development can use one JSON file per store
+ * on disk instead, but only when asked for: a deployed function writing to
+ * its own /tmp would lose the data on a cold start and disagree with every
+ * other instance.
+ *
+ * When neither is available createStore() throws an error with
+ * code STORE_UNAVAILABLE and status 500; callers report it as is.
+ *
+ * Read-modify-write callers use getEntry() for the value and its etag, then
+ * set(key, value, { onlyIfMatch: etag }) (or { onlyIfNew: true } for a new
+ * key). set() resolves false when another write got there first.
+ *
+ * Env:
+ *   STORE_BACKEND  - Force "blobs" or "file"
+ *   STORE_DIR      - Directory for the file backend; setting it turns the file backend on
+ *   NETLIFY_DEV    - Set by `netlify dev`; turns the file backend on (default dir: <tmp>/supercombo-store)
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+function loadBlobs() {
+    try {
+        return require('@netlify/blobs');
+    } catch (e) {
+        return null;
+    }
+}
+
+// The file backend is for local development only
+function isFileStoreAllowed() {
+    const backend = (process.env.STORE_BACKEND || '').toLowerCase();
+    return backend === 'file' || !!process.env.STORE_DIR || process.env.NETLIFY_DEV === 'true';
+}
+
+function storeUnavailable(name, reason) {
+    const err = new Error(`Storage is unavailable for "${name}": ${reason}. Deploy with @netlify/blobs installed, or set STORE_DIR for local development.`);
+    err.code = 'STORE_UNAVAILABLE';
+    err.status = 500;
+    return err;
+}
+
+/**
+ * Open a named store.
+ * Pass the function's event so Netlify Blobs can pick up its credentials.
+ * @throws {Error} code STORE_UNAVAILABLE when Blobs can't be used and the file backend isn't enabled
+ */
+function createStore(name, event) {
+    const backend = (process.env.STORE_BACKEND || '').toLowerCase();
+    if (backend === 'file') return createFileStore(name);
+
+    const blobs = loadBlobs();
+    const hasBlobsContext = !!(event && event.blobs) || !!process.env.NETLIFY_BLOBS_CONTEXT;
+
+    if (blobs && hasBlobsContext) {
+        if (event && event.blobs && blobs.connectLambda) blobs.connectLambda(event);
+        return createBlobStore(blobs.getStore(name));
+    }
+    if (backend !== 'blobs' && isFileStoreAllowed()) return createFileStore(name);
+
+    throw storeUnavailable(name, blobs ? 'no Netlify Blobs context in this runtime' : '@netlify/blobs is not installed');
+}
+
+function createBlobStore(store) {
+    return {
+        backend: 'blobs',
+        async get(key) {
+            return (await store.get(key, { type: 'json' })) ?? null;
+        },
+        async getEntry(key) {
+            const entry = await store.getWithMetadata(key, { type: 'json' });
+            return entry ? { value: entry.data, etag: entry.etag } : null;
+        },
+        async set(key, value, conditions) {
+            const result = await store.setJSON(key, value, conditions || {});
+            return !result || result.modified !== false;
+        },
+        async delete(key) {
+            await store.delete(key);
+        }
+    };
+}
+
+function createFileStore(name) {
+    const dir = process.env.STORE_DIR || path.join(os.tmpdir(), 'supercombo-store');
+    const file = path.join(dir, `${name.replace(/[^a-z0-9_-]/gi, '_')}.json`);
+
+    const read = () => {
+        try {
+            return JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (e) {
+            return {};
+        }
+    };
+
+    const write = (data) => {
+        fs.mkdirSync(dir, { recursive: true });
+        // Write-then-rename so a crash never leaves a half-written file
+        const tmp = `${file}.${process.pid}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(data));
+        fs.renameSync(tmp, file);
+    };
+
+    // Stands in for the Blobs etag: changes whenever the stored value does
+    const etagOf = (value) => crypto.createHash('sha1').update(JSON.stringify(value)).digest('hex');
+
+    return {
+        backend: 'file',
+        async get(key) {
+            const data = read();
+            return key in data ? data[key] : null;
+        },
+        async getEntry(key) {
+            const data = read();
+            return key in data ? { value: data[key], etag: etagOf(data[key]) } : null;
+        },
+        async set(key, value, conditions) {
+            const data = read();
+            const { onlyIfMatch, onlyIfNew } = conditions || {};
+            if (onlyIfNew && key in data) return false;
+            if (onlyIfMatch && !(key in data && etagOf(data[key]) === onlyIfMatch)) return false;
+            data[key] = value;
+            write(data);
+            return true;
+        },
+        async delete(key) {
+            const data = read();
+            delete data[key];
+            write(data);
+        }
+    };
+}
+
+module.exports = { createStore };
@@ -0,0 +1,525 @@
+/**
+ * Comp Valuation Engine
+ *
+ * Finds comparable sales for a domain and turns them into pricing anchors.
+ * Shared by tools/comp-analyzer.html and SuperCombinator.html
+ * (window.CompEngine); both pages keep the sales dataset in IndexedDB
+ * (shared/sales-db.js).
+ *
+ * Similarity (0-100) per comp:
+ *   token 30, structure 20, tld 15, length 10, timing 15, industry 10
+ * Anchors from the top comps: floor P50, target P75, stretch P90, aggressive max.
+ * CE (comp evidence) score 2-9 from how many comps are a close match.
+ * valueDomains() runs the same analysis over a whole list (bulk valuation).
+ *
+ * Names are split into words with shared/segmenter.js (load it first); a
+ * keyword only matches a whole token, so "trustee" is not "trust".
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./segmenter'));
+    } else {
+        root.CompEngine = factory(root.WordSegmenter);
+    }
+})(typeof self !== 'undefined' ? self : this, function (WordSegmenter) {
+
+    // Keyword -> variants and industry type (rm, wave, ep, noun, other)
+    const DEFAULT_KEYWORDS = {
+        // Finance/Money (RM)
+        'price': { variants: ['price', 'pricing', 'priced', 'prices'], type: 'rm' },
+        'yield': { variants: ['yield', 'yields', 'yielding'], type: 'rm' },
+        'cash': { variants: ['cash', 'cashflow'], type: 'rm' },
+        'portfolio': { variants: ['portfolio', 'portfolios'], type: 'rm' },
+        'signal': { variants: ['signal', 'signals', 'signaling'], type: 'rm' },
+        'revenue': { variants: ['revenue', 'revenues'], type: 'rm' },
+        'profit': { variants: ['profit', 'profits', 'profitable'], type: 'rm' },
+        'margin': { variants: ['margin', 'margins'], type: 'rm' },
+        'dollar': { variants: ['dollar', 'dollars'], type: 'rm' },
+        'finance': { variants: ['finance', 'financial', 'financing', 'finances'], type: 'rm' },
+        'payment': { variants: ['payment', 'payments', 'pay', 'paying'], type: 'rm' },
+        'credit': { variants: ['credit', 'credits'], type: 'rm' },
+        'debt': { variants: ['debt', 'debts'], type: 'rm' },
+        'loan': { variants: ['loan', 'loans', 'lending'], type: 'rm' },
+        'invest': { variants: ['invest', 'investing', 'investment', 'investor'], type: 'rm' },
+        'trading': { variants: ['trade', 'trading', 'trader'], type: 'rm' },
+        'wealth': { variants: ['wealth', 'wealthy'], type: 'rm' },
+        'capital': { variants: ['capital'], type: 'rm' },
+        'treasury': { variants: ['treasury'], type: 'rm' },
+        'ledger': { variants: ['ledger'], type: 'rm' },
+        'invoice': { variants: ['invoice', 'invoicing', 'invoices'], type: 'rm' },
+        'budget': { variants: ['budget', 'budgeting'], type: 'rm' },
+        'fund': { variants: ['fund', 'funds', 'funding'], type: 'rm' },
+        'equity': { variants: ['equity'], type: 'rm' },
+        'asset': { variants: ['asset', 'assets'], type: 'rm' },
+        'lender': { variants: ['lender', 'lenders', 'lending'], type: 'rm' },
+        'ads': { variants: ['ads', 'ad', 'advertising'], type: 'rm' },
+
+        // Crypto/Web3
+        'crypto': { variants: ['crypto', 'cryptocurrency'], type: 'wave' },
+        'bitcoin': { variants: ['bitcoin', 'btc'], type: 'wave' },
+        'nft': { variants: ['nft', 'nfts'], type: 'wave' },
+        'defi': { variants: ['defi'], type: 'wave' },
+        'web3': { variants: ['web3'], type: 'wave' },
+        'blockchain': { variants: ['blockchain', 'chain'], type: 'wave' },
+        'token': { variants: ['token', 'tokens', 'tokenize'], type: 'wave' },
+        'wallet': { variants: ['wallet', 'wallets'], type: 'wave' },
+
+        // Trust/Security/Identity (UV/EP)
+        'trust': { variants: ['trust', 'trusted', 'trusting', 'trusts'], type: 'ep' },
+        'verify': { variants: ['verify', 'verified', 'verifying', 'verification'], type: 'ep' },
+        'secure': { variants: ['secure', 'secured', 'security'], type: 'ep' },
+        'fraud': { variants: ['fraud', 'fraudulent'], type: 'ep' },
+        'identity': { variants: ['identity', 'identities'], type: 'ep' },
+        'compliance': { variants: ['compliance', 'compliant', 'comply'], type: 'ep' },
+        'audit': { variants: ['audit', 'auditing', 'auditor'], type: 'ep' },
+        'privacy': { variants: ['privacy', 'private'], type: 'ep' },
+        'safe': { variants: ['safe', 'safety'], type: 'ep' },
+        'protect': { variants: ['protect', 'protection', 'protective'], type: 'ep' },
+        'auth': { variants: ['auth', 'authentication', 'authenticate'], type: 'ep' },
+        'proof': { variants: ['proof', 'proven', 'prove'], type: 'ep' },
+        'kyc': { variants: ['kyc'], type: 'ep' },
+        'kyb': { variants: ['kyb'], type: 'ep' },
+        'aml': { variants: ['aml'], type: 'ep' },
+        'access': { variants: ['access', 'accessible'], type: 'ep' },
+        'guard': { variants: ['guard', 'guardian'], type: 'ep' },
+        'shield': { variants: ['shield'], type: 'ep' },
+        'vault': { variants: ['vault'], type: 'ep' },
+
+        // AI/ML/Tech (Wave)
+        'ai': { variants: ['ai'], type: 'wave' },
+        'neural': { variants: ['neural'], type: 'wave' },
+        'agent': { variants: ['agent', 'agents', 'agentical'], type: 'wave' },
+        'bot': { variants: ['bot', 'bots', 'robot', 'robotic'], type: 'wave' },
+        'machine': { variants: ['machine'], type: 'wave' },
+        'learning': { variants: ['learning', 'learn'], type: 'wave' },
+        'data': { variants: ['data'], type: 'wave' },
+        'analytics': { variants: ['analytics', 'analyze', 'analysis'], type: 'wave' },
+        'intelligence': { variants: ['intelligence', 'intelligent'], type: 'wave' },
+        'smart': { variants: ['smart'], type: 'wave' },
+        'auto': { variants: ['auto', 'automation', 'automated', 'automatic'], type: 'wave' },
+        'cognitive': { variants: ['cognitive'], type: 'wave' },
+        'vision': { variants: ['vision'], type: 'wave' },
+        'voice': { variants: ['voice'], type: 'wave' },
+        'chat': { variants: ['chat', 'chatbot'], type: 'wave' },
+        'predict': { variants: ['predict', 'prediction', 'predictive'], type: 'wave' },
+
+        // Platform/Product (Nouns)
+        'platform': { variants: ['platform', 'platforms'], type: 'noun' },
+        'workflow': { variants: ['workflow', 'workflows'], type: 'noun' },
+        'system': { variants: ['system', 'systems'], type: 'noun' },
+        'engine': { variants: ['engine', 'engines'], type: 'noun' },
+        'hub': { variants: ['hub', 'hubs'], type: 'noun' },
+        'lab': { variants: ['lab', 'labs', 'laboratory'], type: 'noun' },
+        'stack': { variants: ['stack', 'stacks'], type: 'noun' },
+        'cloud': { variants: ['cloud'], type: 'noun' },
+        'api': { variants: ['api', 'apis'], type: 'noun' },
+        'app': { variants: ['app', 'apps', 'application'], type: 'noun' },
+        'tool': { variants: ['tool', 'tools'], type: 'noun' },
+        'software': { variants: ['software'], type: 'noun' },
+        'solution': { variants: ['solution', 'solutions'], type: 'noun' },
+        'service': { variants: ['service', 'services'], type: 'noun' },
+        'network': { variants: ['network', 'networking'], type: 'noun' },
+        'infrastructure': { variants: ['infrastructure'], type: 'noun' },
+
+        // Business Operations
+        'monitor': { variants: ['monitor', 'monitoring'], type: 'noun' },
+        'deploy': { variants: ['deploy', 'deployment'], type: 'noun' },
+        'execute': { variants: ['execute', 'execution'], type: 'noun' },
+        'operate': { variants: ['operate', 'operations', 'ops'], type: 'noun' },
+        'manage': { variants: ['manage', 'management', 'manager'], type: 'noun' },
+        'control': { variants: ['control', 'controls', 'controller'], type: 'noun' },
+        'optimize': { variants: ['optimize', 'optimization', 'optimizer'], type: 'noun' },
+        'automate': { variants: ['automate', 'automation'], type: 'noun' },
+
+        // Other
+        'health': { variants: ['health', 'healthcare'], type: 'other' },
+        'legal': { variants: ['legal'], type: 'other' },
+        'insurance': { variants: ['insurance'], type: 'other' },
+        'medical': { variants: ['medical', 'medicine'], type: 'other' },
+        'education': { variants: ['education', 'educational'], type: 'other' },
+        'real': { variants: ['real', 'reality'], type: 'other' },
+        'virtual': { variants: ['virtual'], type: 'other' },
+        'digital': { variants: ['digital'], type: 'other' },
+        'online': { variants: ['online'], type: 'other' },
+        'mobile': { variants: ['mobile'], type: 'other' },
+        'enterprise': { variants: ['enterprise'], type: 'other' },
+        'business': { variants: ['business'], type: 'other' },
+        'market': { variants: ['market', 'marketplace', 'marketing'], type: 'other' },
+        'customer': { variants: ['customer', 'customers'], type: 'other' },
+        'user': { variants: ['user', 'users'], type: 'other' }
+    };
+
+    function resolveDict(dict) {
+        return dict || DEFAULT_KEYWORDS;
+    }
+
+    // Deep copy, so callers can add categories without touching the defaults
+    function cloneKeywords(dict) {
+        const copy = {};
+        for (const [key, data] of Object.entries(resolveDict(dict))) {
+            copy[key] = { variants: [...data.variants], type: data.type };
+        }
+        return copy;
+    }
+
+    // ==================== KEYWORD EXTRACTION ====================
+
+    // Segmenter that also knows the dictionary's variants, rebuilt when they change
+    let segmenterCache = { signature: null, segmenter: null };
+
+    function getSegmenter(keywordDict) {
+        const variants = Object.values(keywordDict).flatMap(data => data.variants);
+        const signature = variants.join('|');
+        if (segmenterCache.signature !== signature) {
+            segmenterCache = { signature, segmenter: WordSegmenter.createSegmenter(variants) };
+        }
+        return segmenterCache.segmenter;
+    }
+
+    function tokenize(name, dict) {
+        return getSegmenter(resolveDict(dict)).segment(name);
+    }
+
+    function keywordsFromTokens(tokens, dict) {
+        const tokenSet = new Set(tokens);
+        const keywords = [];
+
+        for (const [baseKeyword, data] of Object.entries(resolveDict(dict))) {
+            if (data.variants.some(variant => tokenSet.has(variant.toLowerCase()))) {
+                keywords.push(baseKeyword);
+            }
+        }
+
+        return keywords;
+    }
+
+    function extractKeywords(name, dict) {
+        return keywordsFromTokens(tokenize(name, dict), dict);
+    }
+
+    function getKeywordType(keyword, dict) {
+        return resolveDict(dict)[keyword]?.type || 'other';
+    }
+
+    // ==================== STRUCTURE CLASSIFICATION ====================
+
+    function structureFromTokens(name, tokens) {
+        const length = name.replace(/[-_]/g, '').length;
+
+        if (name.match(/\d/)) {
+            return 'numeric';
+        } else if (name.includes('-')) {
+            return 'hyphenated';
+        }
+
+        const words = tokens.length;
+        if (words >= 3) {
+            return 'compound_3plus';
+        } else if (words === 2) {
+            return 'compound_2word';
+        } else if (length <= 8) {
+            return 'single_premium';
+        } else {
+            return 'single_word';
+        }
+    }
+
+    function getStructureType(name, tld, dict) {
+        return structureFromTokens(name, tokenize(name, dict));
+    }
+
+    // Keywords and structure per name, memoised for one run over a sales list
+    function createNameCache(dict) {
+        const segmenter = getSegmenter(resolveDict(dict));
+        const cache = new Map();
+
+        return function describe(name) {
+            let entry = cache.get(name);
+            if (!entry) {
+                const tokens = segmenter.segment(name);
+                entry = { keywords: keywordsFromTokens(tokens, dict), structure: structureFromTokens(name, tokens) };
+                cache.set(name, entry);
+            }
+            return entry;
+        };
+    }
+
+    // ==================== SIMILARITY CALCULATION ====================
+
+    /**
+     * @param {function} [describe] - createNameCache() result, shared across a run
+     */
+    function calculateSimilarity(target, comp, dict, describe) {
+        const names = describe || createNameCache(dict);
+        const targetInfo = names(target.name);
+        const compInfo = names(comp.name);
+        const targetKw = new Set(targetInfo.keywords);
+        const compKw = new Set(compInfo.keywords);
+        const targetStruct = targetInfo.structure;
+        const compStruct = compInfo.structure;
+
+        let score = 0;
+        const breakdown = {};
+
+        // Token similarity (0-30)
+        if (targetKw.size > 0 && compKw.size > 0) {
+            const common = new Set([...targetKw].filter(x => compKw.has(x)));
+            const union = new Set([...targetKw, ...compKw]);
+            const jaccard = common.size / union.size;
+
+            if (common.size > 0) {
+                breakdown.token = 15 + (jaccard * 15);
+            } else {
+                breakdown.token = 5;
+            }
+        } else {
+            breakdown.token = 0;
+        }
+        score += breakdown.token;
+
+        // Structure (0-20)
+        if (targetStruct === compStruct) {
+            breakdown.structure = 20;
+        } else if ((targetStruct === 'single_premium' || targetStruct === 'single_word') &&
+            (compStruct === 'single_premium' || compStruct === 'single_word')) {
+            breakdown.structure = 15;
+        } else {
+            breakdown.structure = 5;
+        }
+        score += breakdown.structure;
+
+        // TLD (0-15)
+        if (target.tld === comp.tld) {
+            breakdown.tld = 15;
+        } else if ((target.tld === 'com' && ['co', 'net'].includes(comp.tld)) ||
+            (comp.tld === 'com' && ['co', 'net'].includes(target.tld))) {
+            breakdown.tld = 10;
+        } else {
+            breakdown.tld = 3;
+        }
+        score += breakdown.tld;
+
+        // Length (0-10)
+        const lengthDiff = Math.abs(target.name.length - comp.name.length);
+        breakdown.length = Math.max(0, 10 - lengthDiff);
+        score += breakdown.length;
+
+        // Timing (0-15)
+        if (comp.year) {
+            if (comp.year >= 2023) {
+                breakdown.timing = 15;
+            } else if (comp.year >= 2020) {
+                breakdown.timing = 10;
+            } else {
+                breakdown.timing = 5;
+            }
+        } else {
+            breakdown.timing = 5;
+        }
+        score += breakdown.timing;
+
+        // Industry (0-10)
+        if (targetKw.size > 0 && compKw.size > 0) {
+            const targetTypes = new Set([...targetKw].map(k => getKeywordType(k, dict)));
+            const compTypes = new Set([...compKw].map(k => getKeywordType(k, dict)));
+
+            const typeOverlap = new Set([...targetTypes].filter(x => compTypes.has(x)));
+            if (typeOverlap.size > 0) {
+                breakdown.industry = 10;
+            } else {
+                breakdown.industry = 3;
+            }
+        } else {
+            breakdown.industry = 0;
+        }
+        score += breakdown.industry;
+
+        breakdown.total = Math.round(score);
+
+        return { score: breakdown.total, breakdown };
+    }
+
+    // ==================== COMP FINDER ====================
+
+    function parseDomain(domain) {
+        const parts = String(domain || '').trim().toLowerCase().split('.');
+        const name = parts[0];
+        const tld = parts[1] || 'com';
+        return { domain: `${name}.${tld}`, name, tld };
+    }
+
+    /**
+     * Find comparable sales for a domain.
+     * @param {string} domain
+     * @param {Array<{domain, name, tld, price, year}>} sales - Sales records (shared/sales-csv.js)
+     * @param {object} [options]
+     * @param {number} [options.maxResults=30]
+     * @param {number} [options.minSimilarity=30]
+     * @param {number} [options.yearMin]
+     * @param {number} [options.yearMax]
+     * @param {number} [options.priceMin]
+     * @param {number} [options.priceMax]
+     * @param {string} [options.tld] - Only comps with this TLD
+     * @param {string} [options.category] - Only comps with a keyword of this type
+     * @param {object} [options.keywords] - Keyword dictionary (default DEFAULT_KEYWORDS)
+     * @returns {{target, comps, statistics, anchors, compStrength: string, ceScore: number}}
+     */
+    function findComps(domain, sales, options) {
+        return findCompsWith(domain, sales, options || {}, createNameCache((options || {}).keywords));
+    }
+
+    function findCompsWith(domain, sales, opts, describe) {
+        const dict = opts.keywords;
+        const target = parseDomain(domain);
+
+        const maxResults = opts.maxResults || 30;
+        const minSimilarity = opts.minSimilarity || 30;
+        const yearMin = opts.yearMin || 0;
+        const yearMax = opts.yearMax || 9999;
+        const priceMin = opts.priceMin || 0;
+        const priceMax = opts.priceMax || Infinity;
+
+        // Calculate similarities
+        const similarities = [];
+
+        for (const comp of sales || []) {
+            if (comp.name === target.name && comp.tld === target.tld) continue;
+
+            if (comp.year && (comp.year < yearMin || comp.year > yearMax)) continue;
+            if (comp.price < priceMin || comp.price > priceMax) continue;
+            if (opts.tld && comp.tld !== opts.tld) continue;
+
+            if (opts.category) {
+                const compTypes = describe(comp.name).keywords.map(k => getKeywordType(k, dict));
+                if (!compTypes.includes(opts.category)) continue;
+            }
+
+            const { score, breakdown } = calculateSimilarity(target, comp, dict, describe);
+
+            if (score >= minSimilarity) {
+                similarities.push({ comp, score, breakdown });
+            }
+        }
+
+        // Copy only the comps we return; bulk runs go through every sale for every name
+        similarities.sort((a, b) => b.score - a.score);
+        const topComps = similarities.slice(0, maxResults).map(({ comp, score, breakdown }) => ({
+            ...comp,
+            similarity: score,
+            breakdown
+        }));
+
+        return { target, comps: topComps, ...summarizeComps(topComps) };
+    }
+
+    // Price statistics, anchors and comp evidence for a list of comps
+    function summarizeComps(comps) {
+        const summary = {
+            statistics: null,
+            anchors: null,
+            compStrength: 'NONE',
+            ceScore: 0
+        };
+        if (!comps || comps.length === 0) return summary;
+
+        const prices = comps.map(c => c.price);
+        const weights = comps.map(c => c.similarity);
+        const weightedPrices = prices.map((p, i) => p * weights[i]);
+        const weightedMean = weightedPrices.reduce((a, b) => a + b, 0) / weights.reduce((a, b) => a + b, 0);
+
+        prices.sort((a, b) => a - b);
+
+        summary.statistics = {
+            count: comps.length,
+            min: Math.min(...prices),
+            max: Math.max(...prices),
+            median: prices[Math.floor(prices.length / 2)],
+            mean: prices.reduce((a, b) => a + b, 0) / prices.length,
+            weightedMean: weightedMean,
+            p25: prices[Math.floor(prices.length * 0.25)],
+            p50: prices[Math.floor(prices.length * 0.5)],
+            p75: prices[Math.floor(prices.length * 0.75)],
+            p90: prices[Math.floor(prices.length * 0.9)]
+        };
+
+        summary.anchors = {
+            floor: summary.statistics.p50,
+            target: summary.statistics.p75,
+            stretch: summary.statistics.p90,
+            aggressive: summary.statistics.max
+        };
+
+        const highSimCount = comps.filter(c => c.similarity >= 70).length;
+        const medSimCount = comps.filter(c => c.similarity >= 50 && c.similarity < 70).length;
+
+        if (highSimCount >= 5) {
+            summary.compStrength = 'STRONG';
+            summary.ceScore = 9;
+        } else if (highSimCount >= 3 || medSimCount >= 8) {
+            summary.compStrength = 'GOOD';
+            summary.ceScore = 7;
+        } else if (highSimCount >= 1 || medSimCount >= 5) {
+            summary.compStrength = 'MODERATE';
+            summary.ceScore = 5;
+        } else if (comps.length >= 5) {
+            summary.compStrength = 'WEAK';
+            summary.ceScore = 3;
+        } else {
+            summary.compStrength = 'VERY_WEAK';
+            summary.ceScore = 2;
+        }
+
+        return summary;
+    }
+
+    // ==================== BULK VALUATION ====================
+
+    /**
+     * Value a list of domains against the same sales and filters.
+     * Runs in shared/comp-worker.js for long lists; one row per unique domain.
+     * @param {string[]} domains
+     * @param {Array} sales
+     * @param {object} [options] - findComps() options
+     * @param {function(number, number)} [onProgress] - (done, total) after each domain
+     * @returns {Array<{domain, ceScore, compStrength, comps, median, floor, target, stretch, aggressive}>}
+     *   price fields are null when no comps were found
+     */
+    function valueDomains(domains, sales, options, onProgress) {
+        const opts = options || {};
+        const describe = createNameCache(opts.keywords);
+        const unique = [...new Set((domains || []).map(d => parseDomain(d).domain).filter(d => d !== '.com'))];
+        const rows = [];
+
+        unique.forEach((domain, i) => {
+            const result = findCompsWith(domain, sales, opts, describe);
+            rows.push({
+                domain,
+                ceScore: result.ceScore,
+                compStrength: result.compStrength,
+                comps: result.comps.length,
+                median: result.statistics ? result.statistics.median : null,
+                floor: result.anchors ? result.anchors.floor : null,
+                target: result.anchors ? result.anchors.target : null,
+                stretch: result.anchors ? result.anchors.stretch : null,
+                aggressive: result.anchors ? result.anchors.aggressive : null
+            });
+            if (onProgress) onProgress(i + 1, unique.length);
+        });
+
+        return rows;
+    }
+
+    return {
+        DEFAULT_KEYWORDS,
+        cloneKeywords,
+        tokenize,
+        extractKeywords,
+        getKeywordType,
+        getStructureType,
+        calculateSimilarity,
+        parseDomain,
+        findComps,
+        summarizeComps,
+        valueDomains
+    };
+});
@@ -0,0 +1,34 @@
+/**
+ * Bulk Comp Valuation Worker
+ *
+ * Runs CompEngine.valueDomains() off the main thread so a few hundred names
+ * can be valued against a large sales dataset without freezing the page.
+ * Started by tools/comp-analyzer.html; stop it with worker.terminate().
+ *
+ * In:  { domains: string[], sales: Array, options: object }  (findComps() options)
+ * Out: { type: 'progress', done, total }
+ *      { type: 'done', rows }
+ *      { type: 'error', message }
+ */
+importScripts('segmenter.js', 'comp-engine.js');
+
+// Progress messages are throttled; every domain would flood the page on big lists
+const PROGRESS_EVERY_MS = 200;
+
+self.onmessage = function (event) {
+    const { domains, sales, options } = event.data || {};
+    let lastProgress = 0;
+
+    try {
+        const rows = CompEngine.valueDomains(domains, sales, options, (done, total) => {
+            const now = Date.now();
+            if (now - lastProgress >= PROGRESS_EVERY_MS || done === total) {
+                lastProgress = now;
+                self.postMessage({ type: 'progress', done, total });
+            }
+        });
+        self.postMessage({ type: 'done', rows });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
@@ -0,0 +1,195 @@
+/**
+ * Generation Engine
+ *
+ * Builds candidates for a job: combos from templates (Automation, the agent)
+ * or from the Generator's keywords, then strategies, filters and TLDs. Runs in
+ * shared/gen-worker.js for both generators in SuperCombinator.html
+ * (window.GenEngine on the page is the fallback when workers can't start)
+ * and in agent.js (require('../../shared/gen-engine')), so the same job
+ * gives the same candidates in the browser and on the server.
+ *
+ * Load shared/templates.js, strategies.js, tlds.js, segmenter.js,
+ * phonetic.js, morphology.js, heuristic-score.js, sales-csv.js and
+ * tm-screen.js first.
+ *
+ * A job is plain data, so it can be posted to a worker:
+ *   templates  { templates: string[], packs: {A, B, C}, multipliers: {prefixes, suffixes}, constraints }
+ *   keywords   { anchor: string, words: string[], position: 'prefix'|'suffix', constraints }
+ *
+ * Constraints left out get the agent's long-standing defaults (see
+ * normalizeConstraints).
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./templates'), require('./strategies'), require('./tlds'), require('./heuristic-score'), require('./tm-screen'));
+    } else {
+        root.GenEngine = factory(root.TemplateGrammar, root.NameStrategies, root.TldCatalog, root.HeuristicScorer, root.TMScreen);
+    }
+})(typeof self !== 'undefined' ? self : this, function (TemplateGrammar, NameStrategies, TldCatalog, HeuristicScorer, TMScreen) {
+
+    const DEFAULT_TEMPLATES = ['A+B'];
+    const DEFAULT_MAX_LENGTH = 12;
+    // Combos per streamed chunk; each can become several candidates
+    const CHUNK_COMBOS = 2000;
+
+    /**
+     * Fill in defaults. Filters are on unless turned off explicitly.
+     * @returns {{maxLen: number, noHyphens: boolean, stripHyphens: boolean, noNumbers: boolean,
+     *   avoidUglyClusters: boolean, dedupe: boolean, banned: string[], dropTmRisk: boolean,
+     *   trademarks: Array, strategies: string[], tlds: string[], hacks: boolean}}
+     */
+    function normalizeConstraints(constraints) {
+        const c = constraints || {};
+        return {
+            maxLen: c.maxLen || DEFAULT_MAX_LENGTH,
+            noHyphens: c.noHyphens !== false,
+            // Remove hyphens instead of dropping hyphenated names (the Generator)
+            stripHyphens: !!c.stripHyphens,
+            noNumbers: c.noNumbers !== false,
+            avoidUglyClusters: c.avoidUglyClusters !== false,
+            dedupe: c.dedupe !== false,
+            banned: (Array.isArray(c.banned) ? c.banned : []).map(b => String(b).toLowerCase()).filter(b => b),
+            dropTmRisk: !!c.dropTmRisk,
+            trademarks: Array.isArray(c.trademarks) ? c.trademarks : [],
+            strategies: Array.isArray(c.strategies) ? c.strategies : [],
+            tlds: Array.isArray(c.tlds) ? c.tlds : [],
+            hacks: !!c.hacks
+        };
+    }
+
+    function templatePools(job) {
+        const { A = [], B = [], C = [] } = job.packs || {};
+        const { prefixes = [], suffixes = [] } = job.multipliers || {};
+        return { A, B, C, prefix: prefixes, suffix: suffixes };
+    }
+
+    function templateList(job) {
+        return Array.isArray(job.templates) && job.templates.length > 0 ? job.templates : DEFAULT_TEMPLATES;
+    }
+
+    function isKeywordJob(job) {
+        return Array.isArray(job.words);
+    }
+
+    // Generator combos: the anchor before or after each keyword
+    function* keywordCombos(job) {
+        const anchor = String(job.anchor || '').toLowerCase();
+        const prefix = job.position === 'prefix';
+        for (const w of job.words) {
+            if (!w && !anchor) continue;
+            const parts = (prefix ? [anchor, w] : [w, anchor]).filter(p => p);
+            const labels = prefix ? [`main:${anchor}`, `bulk:${w}`] : [`bulk:${w}`, `main:${anchor}`];
+            yield { domain: parts.join(''), parts, sources: labels.filter(l => !l.endsWith(':')).join(', ') };
+        }
+    }
+
+    function* combosOf(job) {
+        if (isKeywordJob(job)) {
+            yield* keywordCombos(job);
+            return;
+        }
+        const pools = templatePools(job);
+        for (const template of templateList(job)) {
+            yield* TemplateGrammar.iterateTemplate(template, pools);
+        }
+    }
+
+    /**
+     * Combos a job will walk, for progress.
+     * @returns {number}
+     */
+    function countCombos(job) {
+        if (isKeywordJob(job)) {
+            const anchor = String(job.anchor || '');
+            return job.words.filter(w => w || anchor).length;
+        }
+        const pools = templatePools(job);
+        return templateList(job).reduce((n, template) => n + TemplateGrammar.countTemplate(template, pools), 0);
+    }
+
+    // Name filter for one strategy variant; returns the cleaned name or null
+    function createFilter(c) {
+        const screener = c.dropTmRisk && c.trademarks.length > 0 ? TMScreen.createScreener(c.trademarks) : null;
+        const seen = new Set();
+
+        return function filter(candidate) {
+            let d = candidate.domain.toLowerCase().replace(/[^a-z0-9-]/g, '');
+            if (c.stripHyphens) d = d.replace(/-/g, '');
+            if (!d) return null;
+            if (d.length > c.maxLen) return null;
+            if (c.noHyphens && d.includes('-')) return null;
+            if (c.noNumbers && /\d/.test(d)) return null;
+            // Dropped vowels leave consonant runs on purpose
+            if (c.avoidUglyClusters && candidate.strategy !== 'vowels' && HeuristicScorer.UGLY_CLUSTERS.test(d)) return null;
+            if (c.banned.some(b => d.includes(b))) return null;
+            if (screener && screener.screen(d)) return null;
+            if (c.dedupe) {
+                if (seen.has(d)) return null;
+                seen.add(d);
+            }
+            return d;
+        };
+    }
+
+    /**
+     * Run a job in chunks. Each chunk covers up to CHUNK_COMBOS combos, so a
+     * worker can post it and a page can yield between chunks.
+     * @param {object} job
+     * @param {{chunkSize?: number}} [options]
+     * @yields {{candidates: Array<{domain: string, template: string, sources: string}>, done: number, total: number}}
+     *   done and total count combos walked; candidates are in job order, each domain once
+     *   when TLDs are attached (or dedupe is on)
+     */
+    function* runJob(job, options) {
+        const c = normalizeConstraints(job.constraints);
+        const chunkSize = (options && options.chunkSize) || CHUNK_COMBOS;
+        const total = countCombos(job);
+        const filter = createFilter(c);
+        // Names stay bare unless TLDs or domain hacks are asked for (shared/tlds.js)
+        const attach = c.tlds.length > 0 || c.hacks;
+        const seenDomains = new Set();
+
+        let done = 0;
+        let candidates = [];
+        for (const combo of combosOf(job)) {
+            for (const variant of NameStrategies.applyStrategies([combo], c.strategies)) {
+                const name = filter(variant);
+                if (!name) continue;
+                const bare = { domain: name, template: variant.template, sources: variant.sources };
+                const named = attach ? TldCatalog.attachTlds([bare], c.tlds, { hacks: c.hacks }) : [bare];
+                for (const candidate of named) {
+                    if (attach) {
+                        if (seenDomains.has(candidate.domain)) continue;
+                        seenDomains.add(candidate.domain);
+                    }
+                    candidates.push(candidate);
+                }
+            }
+            if (++done % chunkSize === 0) {
+                yield { candidates, done, total };
+                candidates = [];
+            }
+        }
+        yield { candidates, done, total };
+    }
+
+    /**
+     * Run a job to the end.
+     * @returns {Array<{domain: string, template: string, sources: string}>}
+     */
+    function generate(job) {
+        const results = [];
+        for (const chunk of runJob(job)) {
+            for (const candidate of chunk.candidates) results.push(candidate);
+        }
+        return results;
+    }
+
+    return {
+        DEFAULT_TEMPLATES,
+        normalizeConstraints,
+        countCombos,
+        runJob,
+        generate
+    };
+});
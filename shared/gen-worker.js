@@ -0,0 +1,28 @@
+/**
+ * Generation Worker
+ *
+ * Runs GenEngine jobs off the main thread so large template expansions
+ * don't freeze the page. Started by the Generator and Automation in
+ * SuperCombinator.html, one worker per run; cancel with worker.terminate().
+ *
+ * In:  a GenEngine job (see shared/gen-engine.js)
+ * Out: { type: 'chunk', candidates, done, total }  (done/total count combos)
+ *      { type: 'done', done, total }
+ *      { type: 'error', message }
+ */
+importScripts('templates.js', 'strategies.js', 'tlds.js', 'segmenter.js', 'phonetic.js',
+    'morphology.js', 'heuristic-score.js', 'sales-csv.js', 'tm-screen.js', 'gen-engine.js');
+
+self.onmessage = function (event) {
+    let last = { done: 0, total: 0 };
+
+    try {
+        for (const chunk of GenEngine.runJob(event.data || {})) {
+            self.postMessage({ type: 'chunk', ...chunk });
+            last = chunk;
+        }
+        self.postMessage({ type: 'done', done: last.done, total: last.total });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
@@ -0,0 +1,384 @@
+/**
+ * Offline Heuristic Scorer
+ *
+ * Deterministic JavaScript version of the scoring rubric the LLM prompts
+ * describe. Used by score.js / the agent when no LLM is configured or a
+ * request asks for fast mode, and by SuperCombinator.html
+ * (window.HeuristicScorer) for instant in-browser scoring.
+ *
+ * Rubric (default maximums, total 10):
+ *   brandability 3.5, pronunciation 2, spelling 1.5, nativeMeaning 1, buyerIntent 2
+ * Penalties:
+ *   hyphens or numbers -2, ugly consonant/vowel clusters -1, spam words -1 each (max -3),
+ *   negative words -1 (on top of losing the meaning points)
+ * Buckets: FAST-FLIP >= 7, HOLD >= 4, PASS below
+ *
+ * Names are split into words with shared/segmenter.js (load it first), so
+ * keyword, spam and negative-word checks match whole words ("skill" is not
+ * "kill") and nativeMeaning follows how much of the name is real words.
+ * Spelling also loses points for respelled words ("kwikpay" is typed
+ * "quickpay" by anyone who hears it), found with shared/phonetic.js (load it
+ * first too). Niche keywords also match inflected words ("lending" has lend)
+ * through shared/morphology.js, loaded before this file as well; a niche
+ * match is worth more buyer intent than a short name with no niche. Domain hacks ("secu.re") are scored as the word they spell.
+ *
+ * Same input always gives the same output - there is no randomness.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./segmenter'), require('./phonetic'), require('./morphology'));
+    } else {
+        root.HeuristicScorer = factory(root.WordSegmenter, root.Phonetic, root.Morphology);
+    }
+})(typeof self !== 'undefined' ? self : this, function (WordSegmenter, Phonetic, Morphology) {
+
+    // Rubric maximums; preset weights are rescaled against these
+    const RUBRIC = {
+        brandability: 3.5,
+        pronunciation: 2,
+        spelling: 1.5,
+        nativeMeaning: 1,
+        buyerIntent: 2
+    };
+
+    const UGLY_CLUSTERS = /([bcdfghjklmnpqrstvwxz]{4,})|([aeiou]{4,})|(xx|zz|qq|ww|vv)/i;
+
+    const SPAM_WORDS = [
+        'guarantee', 'instant', 'free', 'cheap', 'bonus', 'winner', 'casino',
+        'miracle', 'payday', 'getrich', 'easymoney', 'riskfree', 'nocredit'
+    ];
+
+    // Words nobody wants in a brand
+    const NEGATIVE_WORDS = [
+        'kill', 'dead', 'die', 'death', 'fail', 'scam', 'fraud', 'fake', 'hate',
+        'sick', 'debt', 'broke', 'loss', 'lose', 'crash', 'bad', 'ugly', 'toxic',
+        'spam', 'hack', 'virus', 'poor', 'slow', 'sad', 'war'
+    ];
+
+    // Letter groups that can be spelled more than one way when heard aloud
+    const AMBIGUOUS_SPELLINGS = [
+        'ph', 'gh', 'ough', 'augh', 'ie', 'ei', 'ck', 'kn', 'wr', 'ps', 'mn',
+        'qu', 'x', 'c', 'y', 'ae', 'oe'
+    ];
+
+    // Niche keywords per scoring mode (same modes as MODE_CONTEXT in the agent)
+    const NICHES = {
+        lenders: {
+            label: 'Lending / fintech',
+            keywords: ['lend', 'loan', 'fund', 'credit', 'capital', 'cash', 'money', 'mortgage', 'bank',
+                'finance', 'fin', 'trust', 'rate', 'equity', 'home', 'first', 'secure', 'advance']
+        },
+        payments: {
+            label: 'Payments / fintech',
+            keywords: ['pay', 'card', 'wallet', 'cash', 'send', 'swift', 'checkout', 'coin', 'ledger',
+                'transfer', 'fast', 'quick', 'snap', 'settle', 'billing', 'invoice', 'merchant', 'secure']
+        },
+        ads: {
+            label: 'Ads / marketing',
+            keywords: ['ad', 'ads', 'click', 'reach', 'promo', 'brand', 'media', 'market', 'lead', 'boost',
+                'buzz', 'view', 'growth', 'funnel', 'audience', 'pixel', 'campaign', 'social']
+        },
+        brandable: {
+            label: 'General startup brand',
+            keywords: []
+        }
+    };
+
+    const VOWELS = 'aeiouy';
+
+    // Segmenter that knows every word list above; extra keywords get their own
+    const baseWords = SPAM_WORDS.concat(NEGATIVE_WORDS, ...Object.values(NICHES).map(n => n.keywords));
+    const baseSegmenter = WordSegmenter.createSegmenter(baseWords);
+    let extraSegmenter = { signature: null, segmenter: null };
+
+    function getSegmenter(extraWords) {
+        if (!extraWords || extraWords.length === 0) return baseSegmenter;
+        const signature = extraWords.join('|');
+        if (extraSegmenter.signature !== signature) {
+            extraSegmenter = { signature, segmenter: WordSegmenter.createSegmenter(baseWords.concat(extraWords)) };
+        }
+        return extraSegmenter.segmenter;
+    }
+
+    function round1(n) {
+        return Math.round(n * 10) / 10;
+    }
+
+    function clamp(n, min, max) {
+        return Math.min(max, Math.max(min, n));
+    }
+
+    // Strip TLD and anything outside a-z, 0-9, hyphen. A domain hack reads as
+    // one word with its TLD ("secu.re" is "secure"), so it is scored that way
+    // when the joined form is more real words than the name alone.
+    function normalizeName(domain) {
+        const labels = String(domain || '').toLowerCase().trim().split('.').map(l => l.replace(/[^a-z0-9-]/g, ''));
+        const name = labels[0];
+        if (labels.length !== 2 || !name || !labels[1]) return name;
+        const joined = name + labels[1];
+        return WordSegmenter.analyze(joined).coverage > WordSegmenter.analyze(name).coverage ? joined : name;
+    }
+
+    /**
+     * Rough English syllable count: vowel groups, minus a silent final "e".
+     */
+    function countSyllables(word) {
+        const letters = String(word || '').toLowerCase().replace(/[^a-z]/g, '');
+        if (!letters) return 0;
+
+        const groups = letters.match(/[aeiouy]+/g) || [];
+        let count = groups.length;
+        if (letters.length > 2 && letters.endsWith('e') && !letters.endsWith('le') && !/[aeiouy]e$/.test(letters)) {
+            count--;
+        }
+        return Math.max(1, count);
+    }
+
+    function longestConsonantRun(word) {
+        const runs = word.replace(/[^a-z]/g, ' ').match(/[bcdfghjklmnpqrstvwxz]+/g) || [];
+        return runs.reduce((max, r) => Math.max(max, r.length), 0);
+    }
+
+    function scoreBrandability(name, syllables) {
+        const len = name.length;
+        let score;
+        if (len >= 6 && len <= 10) score = 3.5;
+        else if (len >= 4 && len < 6) score = 3.0;
+        else if (len === 11 || len === 12) score = 2.2;
+        else if (len < 4) score = 2.5;
+        else score = Math.max(0.5, 2.2 - (len - 12) * 0.4);
+
+        if (syllables > 3) score -= 0.5 * (syllables - 3);
+        if (syllables <= 2 && len <= 10) score += 0.2;
+        return clamp(score, 0, RUBRIC.brandability);
+    }
+
+    function scorePronunciation(name) {
+        const letters = name.replace(/[^a-z]/g, '');
+        if (!letters) return 0;
+
+        const vowelCount = [...letters].filter(ch => VOWELS.includes(ch)).length;
+        const ratio = vowelCount / letters.length;
+        let score = 2;
+
+        if (ratio < 0.25) score -= 1;
+        else if (ratio < 0.3 || ratio > 0.65) score -= 0.5;
+
+        const run = longestConsonantRun(letters);
+        if (run >= 4) score -= 1;
+        else if (run === 3) score -= 0.3;
+
+        if (/q(?!u)/.test(letters)) score -= 0.5;
+        return clamp(score, 0, RUBRIC.pronunciation);
+    }
+
+    // Dictionary words by Double Metaphone code, built on first use
+    let wordsByCode = null;
+
+    // Unknown tokens that sound like a dictionary word spelled another way ("kwik" -> quick)
+    function findRespellings(words) {
+        if (!wordsByCode) {
+            wordsByCode = new Map();
+            for (const word of WordSegmenter.WORDS) {
+                for (const code of new Set(Phonetic.doubleMetaphone(word))) {
+                    if (!wordsByCode.has(code)) wordsByCode.set(code, []);
+                    wordsByCode.get(code).push(word);
+                }
+            }
+        }
+
+        // The whole name too, when the segmenter cut a respelling apart ("snapp" -> sn + app)
+        const unknown = words.tokens.filter((t, i) => !words.known[i]);
+        if (unknown.length > 0 && words.tokens.length > 1) unknown.push(words.tokens.join(''));
+
+        const found = [];
+        for (const token of unknown) {
+            if (!/^[a-z]{3,}$/.test(token)) continue;
+            const candidates = Phonetic.doubleMetaphone(token).flatMap(code => wordsByCode.get(code) || []);
+            const word = candidates.find(w => w !== token && Phonetic.soundsAlike(token, w));
+            if (word) found.push({ token, word });
+        }
+        return found;
+    }
+
+    function scoreSpelling(name, respellings) {
+        const letters = name.replace(/[^a-z]/g, '');
+        let score = RUBRIC.spelling;
+
+        const hits = AMBIGUOUS_SPELLINGS.filter(seq => letters.includes(seq)).length;
+        score -= Math.min(1, hits * 0.25);
+
+        // Doubled letters invite typos (except a doubled "o" or "e", which read naturally)
+        if (/([^oe])\1/.test(letters)) score -= 0.3;
+
+        // A heard "kwik" gets typed "quick"
+        score -= Math.min(1, respellings.length * 0.5);
+        return clamp(score, 0, RUBRIC.spelling);
+    }
+
+    // Words that are a token, a plural of one, or adjacent tokens run together ("getrich")
+    function findWords(tokens, words) {
+        const phrases = new Set();
+        for (let i = 0; i < tokens.length; i++) {
+            let phrase = '';
+            for (let j = i; j < tokens.length; j++) {
+                phrase += tokens[j];
+                phrases.add(phrase);
+            }
+        }
+        return words.filter(w => phrases.has(w) || phrases.has(w + 's'));
+    }
+
+    // Keywords in the name as written or through a token's base ("lending" -> lend)
+    function findKeywords(tokens, keywords) {
+        const found = new Set(findWords(tokens, keywords));
+        const stems = tokens.map(t => Morphology.baseForm(t) || t);
+        findWords(stems, keywords).forEach(k => found.add(k));
+        return keywords.filter(k => found.has(k));
+    }
+
+    function scoreBuyerIntent(name, tokens, niche, extraKeywords) {
+        const keywords = niche.keywords.concat(extraKeywords || []);
+        if (keywords.length === 0) {
+            // No niche: short, clean names appeal to the widest set of buyers
+            return { score: name.length <= 10 ? 1.4 : 1.0, matches: [] };
+        }
+        const matches = findKeywords(tokens, keywords);
+        // A buyer in the niche pays more than a generic buyer would, so a match beats any short name
+        const score = matches.length === 0 ? 0.6 : Math.min(RUBRIC.buyerIntent, 1.7 + 0.3 * (matches.length - 1));
+        return { score, matches };
+    }
+
+    function bucketFor(score) {
+        if (score >= 7) return 'FAST-FLIP';
+        if (score >= 4) return 'HOLD';
+        return 'PASS';
+    }
+
+    /**
+     * Score one domain.
+     * @param {string} domain - "name" or "name.tld"
+     * @param {object} [options]
+     * @param {string} [options.mode] - lenders | payments | ads | brandable
+     * @param {object} [options.weights] - Preset weights ({brandability, pronunciation, spelling, nativeMeaning, buyerIntent})
+     * @param {string[]} [options.banned] - Extra substrings treated like spam words
+     * @param {string[]} [options.keywords] - Extra niche keywords
+     * @returns {{domain: string, score: number, bucket: string, reason: string, use_case: string, breakdown: object}}
+     */
+    function scoreDomain(domain, options) {
+        const opts = options || {};
+        const name = normalizeName(domain);
+        const niche = NICHES[opts.mode] || NICHES.brandable;
+
+        if (!name) {
+            return { domain: String(domain || ''), score: 0, bucket: 'PASS', reason: 'Empty name', use_case: '', breakdown: {} };
+        }
+
+        const extraKeywords = (opts.keywords || []).map(k => String(k).toLowerCase()).filter(k => k);
+        const words = getSegmenter(extraKeywords).analyze(name);
+        const syllables = countSyllables(name);
+        const intent = scoreBuyerIntent(name, words.tokens, niche, extraKeywords);
+        const negatives = findWords(words.tokens, NEGATIVE_WORDS);
+        const respellings = findRespellings(words);
+
+        const pronunciation = scorePronunciation(name);
+        const parts = {
+            // A name nobody can say isn't much of a brand, however short
+            brandability: scoreBrandability(name, syllables) * (0.4 + 0.6 * pronunciation / RUBRIC.pronunciation),
+            pronunciation,
+            spelling: scoreSpelling(name, respellings),
+            // Real words carry meaning; an invented name still gets half
+            nativeMeaning: negatives.length > 0 ? 0 : RUBRIC.nativeMeaning * (0.5 + 0.5 * words.coverage),
+            buyerIntent: intent.score
+        };
+
+        // Rescale each part by the preset weight so the total stays out of 10
+        const weights = { ...RUBRIC, ...(opts.weights || {}) };
+        const weightSum = Object.keys(RUBRIC).reduce((sum, k) => sum + (Number(weights[k]) || 0), 0) || 1;
+        let total = Object.keys(RUBRIC).reduce((sum, k) => {
+            return sum + (parts[k] / RUBRIC[k]) * (Number(weights[k]) || 0);
+        }, 0) / weightSum * 10;
+
+        const penalties = [];
+        if (/[-\d]/.test(name)) {
+            total -= 2;
+            penalties.push('hyphen/number');
+        }
+        if (UGLY_CLUSTERS.test(name)) {
+            total -= 1;
+            penalties.push('awkward letter cluster');
+        }
+        if (negatives.length > 0) {
+            total -= 1;
+        }
+        // Banned entries are substrings by design (Automation presets), spam words are whole words
+        const banned = (opts.banned || []).map(b => String(b).toLowerCase()).filter(b => b && name.includes(b));
+        const spam = findWords(words.tokens, SPAM_WORDS).concat(banned);
+        if (spam.length > 0) {
+            total -= Math.min(3, spam.length);
+            penalties.push(`spam word "${spam[0]}"`);
+        }
+
+        const score = round1(clamp(total, 0, 10));
+
+        return {
+            domain: String(domain),
+            score,
+            bucket: bucketFor(score),
+            reason: buildReason(name, words, syllables, parts, intent.matches, negatives, respellings, penalties),
+            use_case: intent.matches.length > 0 || niche.keywords.length === 0 ? niche.label : '',
+            breakdown: {
+                brandability: round1(parts.brandability),
+                pronunciation: round1(parts.pronunciation),
+                spelling: round1(parts.spelling),
+                nativeMeaning: round1(parts.nativeMeaning),
+                buyerIntent: round1(parts.buyerIntent),
+                syllables,
+                words: words.tokens,
+                penalties
+            }
+        };
+    }
+
+    function buildReason(name, words, syllables, parts, matches, negatives, respellings, penalties) {
+        const notes = [];
+        notes.push(`${name.length} chars, ${syllables} syllable${syllables === 1 ? '' : 's'}`);
+
+        if (words.tokens.length > 1 && words.coverage === 1) notes.push(words.tokens.join(' + '));
+        if (parts.pronunciation >= 1.8) notes.push('easy to say');
+        else if (parts.pronunciation < 1.2) notes.push('hard to pronounce');
+        if (respellings.length > 0) notes.push(`"${respellings[0].token}" sounds like "${respellings[0].word}"`);
+        else if (parts.spelling < 1) notes.push('ambiguous spelling');
+        if (matches.length > 0) notes.push(`niche fit: ${matches.slice(0, 2).join(', ')}`);
+        if (negatives.length > 0) notes.push(`negative word "${negatives[0]}"`);
+        if (penalties.length > 0) notes.push(`penalty: ${penalties.join(', ')}`);
+
+        return notes.join('; ').slice(0, 200);
+    }
+
+    function scoreDomains(domains, options) {
+        return (domains || []).map(d => scoreDomain(d, options));
+    }
+
+    // scoreDomain() options for an Automation preset ({ id, weights, bannedSubstrings })
+    function presetOptions(preset) {
+        const p = preset || {};
+        const mode = String(p.id || '').replace(/^preset_/, '');
+        return {
+            mode: NICHES[mode] ? mode : 'brandable',
+            weights: p.weights,
+            banned: p.bannedSubstrings
+        };
+    }
+
+    return {
+        RUBRIC,
+        UGLY_CLUSTERS,
+        NICHES,
+        countSyllables,
+        scoreDomain,
+        scoreDomains,
+        presetOptions,
+        bucketFor
+    };
+});
@@ -0,0 +1,439 @@
+/**
+ * Offline Lexicon
+ *
+ * A small WordNet-style thesaurus for growing word packs: synonyms, broader
+ * terms (hypernyms) and related short words, bundled so "Expand" in the pack
+ * editor works without a network call. Used by SuperCombinator.html
+ * (window.Lexicon). Load shared/segmenter.js and shared/morphology.js first.
+ *
+ * Each SYNSETS line is one sense: "synonyms | broader terms | related words",
+ * most common word first. Commonness comes from the segmenter's
+ * frequency-ordered word list, falling back to the word's place in its line.
+ * Suggestions are ranked by relation, commonness and length - short, common
+ * synonyms first. Pack words are looked up by their base form through
+ * shared/morphology.js, so "payments", "trusted" and "lending" find payment,
+ * trust and lend.
+ *
+ * Data: the SYNSETS lines were written by hand for this project, following
+ * WordNet's sense / hypernym layout but not copied from WordNet, and the
+ * frequency order is the segmenter's own list. There is no third-party data
+ * in this file, so it ships under the same terms as the rest of the
+ * repository.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./segmenter'), require('./morphology'));
+    } else {
+        root.Lexicon = factory(root.WordSegmenter, root.Morphology);
+    }
+})(typeof self !== 'undefined' ? self : this, function (WordSegmenter, Morphology) {
+
+    const SYNSETS = `
+        trust faith confidence belief reliance | conviction | trusty trusted loyal sure
+        secure safe protected guarded sound | state | lock vault shield guard fort
+        guard shield protect defend shelter | protection | armor aegis fence wall sentry
+        verify confirm validate check prove attest | test | audit proof seal stamp badge
+        identity id self persona profile | identification | name badge pass key sign
+        risk hazard danger peril exposure | chance | odds bet hedge edge threat
+        audit review inspect examine scan | check | ledger trace track proof report
+        comply conform obey follow | act | rule policy code law standard
+        policy rule plan code charter | guide | law norm term pact
+        access entry admission entrance | approach | gate door key pass portal port
+        control command rule govern steer direct | power | helm reins lever switch dial
+        monitor watch track observe survey | check | radar sentry beacon lens eye scope
+        detect spot find discover sense notice | perceive | radar probe scout signal sensor
+        reliable dependable steady solid sturdy stable | trusty | rock anchor pillar core
+        expert pro master ace guru adept | authority | sage wiz whiz mentor coach
+        quality grade class caliber merit | attribute | prime elite premium best fine
+        yield return gain profit earnings | income | harvest crop reap fruit dividend
+        price cost rate fee charge tariff | value | quote bid tag ask deal
+        portfolio holdings assets stake | collection | fund basket book mix
+        cash money funds capital currency | wealth | coin buck dime penny mint
+        revenue income sales turnover takings | money | flow stream inflow
+        margin edge spread markup | difference | gap lead buffer
+        profit gain return surplus | income | yield upside win plus
+        credit loan advance | finance | score line limit card
+        loan advance credit mortgage lending | debt | lend borrow note bond
+        lend loan advance front | give | lender loaner backer
+        bank lender treasury vault | institution | branch teller safe
+        treasury vault coffer till purse | funds | reserve chest safe
+        hedge cover insure offset | protection | guard shield buffer
+        ledger book register record journal | account | log tally chain block
+        invoice bill statement tab | account | due charge receipt billing
+        pay settle remit spend clear | give | wire send tip fund
+        payment remittance transfer settlement | transaction | wire deposit charge
+        wallet purse pouch billfold | case | pocket pay coin card
+        card chip token pass | device | tap swipe badge
+        tax levy duty toll tariff | charge | fee rate dues
+        insurance cover assurance protection | security | policy claim shield guard
+        wealth riches fortune affluence means | assets | gold rich prosper treasure
+        fund pool kitty reserve | money | chest purse stake
+        invest stake back fund finance | spend | capital venture angel seed
+        growth rise expansion increase gain | change | boost scale surge bloom sprout
+        grow rise climb expand swell thrive | increase | boost scale sprout bloom rise
+        boost lift raise hike spur | increase | lever surge kick jump
+        scale size grow expand stretch | change | stack level tier
+        fast quick rapid swift speedy brisk | speed | zip zoom dash bolt sprint rush flash
+        quick fast instant prompt snappy | speed | snap flash blink dash zip
+        instant immediate sudden prompt | moment | now flash snap blink
+        speed pace velocity tempo rate | motion | turbo nitro rush race pulse
+        rush dash hurry race sprint bolt | run | zoom zip flash jet
+        easy simple plain clear effortless | quality | breeze smooth light ez
+        simple basic plain pure clean | quality | lite mini core bare
+        smart clever bright sharp wise keen | intelligent | brain mind genius savvy iq
+        brain mind intellect wit | organ | neuron cortex think genius
+        mind brain psyche intellect | faculty | thought idea spirit soul
+        think reason ponder reflect | cogitate | idea muse mind brain
+        idea notion concept thought plan | content | spark muse insight vision
+        insight vision foresight clarity | perception | lens view sight clue
+        learn study master absorb | acquire | school class course tutor skill
+        teach tutor coach train school | educate | mentor lesson guide class
+        agent broker rep proxy envoy | representative | bot assistant helper aide delegate
+        assistant aide helper deputy | worker | copilot bot sidekick buddy mate
+        bot robot droid android | machine | auto agent drone mech
+        auto automatic robotic | self | bot machine engine motor
+        ai intelligence cognition intellect | faculty | bot neural brain smart agent
+        neural brain nerve | network | neuron synapse cortex deep
+        model pattern template mould | representation | frame schema form mold
+        vector arrow ray path | quantity | axis line matrix tensor
+        data info facts figures stats | information | bits bytes signal record
+        signal sign cue beacon flag | communication | pulse ping alert wave
+        network net web mesh grid | system | node link hub graph
+        hub center core nexus heart | point | base hq dock port
+        base foundation root core ground | support | camp hq station dock
+        core heart center nucleus kernel | part | crux hub seed root
+        link bond tie connect join | connection | chain bridge sync loop
+        sync align match pair mirror | coordinate | link bridge merge
+        bridge span link connect | structure | arch gate way pass
+        flow stream current flux tide | motion | wave river drift glide
+        stream flow current brook creek | body | river rill torrent
+        pipe pipeline conduit channel tube | passage | flow duct line
+        cloud sky vapor mist | weather | nimbus stratus haze
+        stack pile heap tower stock | collection | layer tier deck shelf
+        deploy launch ship release roll | start | rollout push drop
+        launch start begin open kick | start | liftoff rocket debut spark
+        ship send deliver dispatch | transport | cargo freight fleet dock port
+        build make create craft forge | produce | maker studio works labs factory
+        make build create produce craft | act | maker forge mint shape
+        create make forge invent design | act | spark idea origin genesis
+        craft art skill trade | ability | guild studio forge works
+        forge smithy foundry workshop | plant | anvil iron kiln hammer
+        code program script source | software | dev stack bit byte
+        tool instrument device gadget kit | implement | kit gear rig box
+        kit set pack outfit gear | collection | box bundle suite
+        box case crate chest bin | container | crate pod vault
+        lab laboratory workshop studio | workplace | labs bench test works
+        studio workshop atelier loft | room | lab works forge
+        work labor job task effort | activity | craft trade grind works
+        job task duty chore gig | work | role post work
+        team crew squad group band | unit | club guild tribe pack
+        group team band circle | social | club set pack clan
+        club society guild league union | association | circle order lodge
+        tribe clan family kin | group | folk nation crew
+        market bazaar exchange mart fair | place | shop store trade stall
+        shop store boutique outlet | mercantile | mart market stall
+        trade deal swap exchange barter | commerce | market broker bid ask
+        deal bargain pact agreement | transaction | steal offer buy
+        buy purchase acquire get obtain | acquire | order cart shop pick
+        sell vend market retail peddle | exchange | sale offer deal
+        sale deal discount offer | selling | bargain steal promo
+        brand mark label logo name | marker | badge emblem icon tag
+        ad advert promo commercial | promotion | ads banner pitch spot
+        promo promotion campaign pitch | publicity | boost hype buzz plug
+        buzz hype noise fuss | excitement | viral trend hot
+        reach range scope span | extent | arc sweep orbit
+        click tap press hit | action | link button touch
+        view sight look vista scene | perception | lens scope focus
+        lead guide head direct pilot | leadership | leader captain chief
+        leader chief head boss captain | person | lead pilot helm
+        social public communal civic | group | crowd tribe people
+        media press news outlet | communication | broadcast channel stream
+        growth boom surge upswing | increase | spike rally bloom
+        funnel channel pipe chute | passage | flow path route
+        audience viewers crowd public | group | fans followers
+        pixel dot point bit | element | grid sprite frame
+        cloud host server | computer | node rack edge
+        edge border rim verge brink | boundary | margin fringe lip tip
+        runtime engine executor | system | motor kernel core
+        engine motor machine turbine | machine | piston drive power
+        power force energy strength might | property | volt amp surge watt charge
+        energy power vigor force zest | property | spark fuel charge volt
+        spark flash flare glint gleam | light | ignite fire zap
+        fire flame blaze burn | combustion | spark ember torch ignite
+        light glow shine gleam beam ray | energy | lumen lamp torch bright
+        bright brilliant vivid radiant shiny | light | glow lumen ray sun
+        clear plain lucid transparent | quality | pure clean crisp
+        pure clean fresh clear | quality | crisp mint pristine
+        fresh new novel crisp | new | mint dew neo spring
+        new novel fresh modern | quality | neo next nova
+        next future coming | time | neo later beyond
+        true real genuine authentic | actual | honest pure proof
+        honest candid frank fair | trustworthy | open true plain
+        open free clear available | state | public gate door
+        free gratis unpaid open | cost | liberty loose libre
+        gold golden gilt | metal | aurum bullion nugget
+        star celebrity sun | body | stellar nova astro sirius
+        sky heavens air azure | atmosphere | cloud blue cosmos
+        sun sol star | star | solar ray dawn
+        moon luna satellite | body | lunar crescent orbit
+        earth world globe planet terra | planet | land soil geo
+        world globe earth planet | sphere | global terra orbit
+        ocean sea deep main | water | wave tide marine coral
+        river stream brook creek | water | delta flow current
+        peak summit top apex crest | top | zenith pinnacle crown
+        top peak summit apex head | point | crown tip prime
+        mountain mount peak alp | landform | ridge cliff crest
+        rock stone boulder pebble | material | granite slate flint
+        tree oak pine maple cedar | plant | leaf root bough
+        leaf blade frond | plant | green sprout petal
+        seed grain kernel pip | fruit | sprout root germ
+        root base origin source | part | seed stem ground
+        bloom blossom flower flourish | growth | petal bud flora
+        garden yard plot bed | land | green grove orchard
+        green verdant leafy | color | eco leaf fern sage
+        eco green natural | environment | leaf earth sprout
+        wave surge swell ripple | motion | tide crest pulse
+        pulse beat throb rhythm | rhythm | heart tempo signal
+        heart core center soul | organ | pulse love spirit
+        love adore cherish | feeling | heart amor joy
+        joy delight bliss glee | feeling | happy cheer fun
+        happy glad cheerful merry | feeling | joy smile sunny
+        calm still serene peaceful tranquil | state | zen quiet ease
+        zen calm peace | state | still balance flow
+        care tend nurse mind | attention | heal cure aid
+        health wellness fitness vigor | condition | vital fit well
+        fit healthy strong trim | condition | gym active vital
+        strong mighty powerful sturdy tough | quality | iron titan steel
+        bold brave daring fearless | quality | hero valor spirit
+        hero champion victor winner | person | legend ace titan
+        win triumph prevail succeed | succeed | victory score gain
+        king monarch ruler sovereign | ruler | crown royal reign throne
+        royal regal kingly noble | status | crown throne majesty
+        crown diadem tiara | headdress | royal regal king
+        empire realm kingdom domain | state | reign dynasty crown
+        home house dwelling abode | building | nest haven hearth
+        nest den lair burrow | shelter | home roost hive
+        haven refuge shelter harbor | place | port cove safe
+        port harbor dock haven | place | pier bay wharf
+        gate door portal entry | entrance | gateway arch pass
+        path way route road track | course | trail lane street
+        route path way course | road | map trail lane
+        map chart atlas plan | representation | guide grid compass
+        guide lead steer pilot usher | direct | compass beacon map
+        compass bearing heading | direction | north pole needle
+        north pole top | direction | arctic star
+        journey trip voyage quest trek | travel | path road tour
+        quest search hunt mission | pursuit | seek venture goal
+        search seek hunt look find | investigate | query scout probe
+        find discover locate spot | get | seek scout trace
+        goal aim target objective end | purpose | mark score mission
+        target goal aim mark | goal | bullseye focus
+        focus center hub core | point | lens aim sharp
+        plan scheme design blueprint | idea | map draft layout
+        design plan layout pattern style | creation | craft form shape
+        style fashion mode vogue trend | manner | chic flair look
+        chic stylish elegant sleek | style | luxe posh suave
+        luxury opulence splendor | quality | luxe lux posh premium
+        premium prime select choice | quality | elite luxe gold
+        elite best choice prime select | group | top ace premium
+        best top finest prime | quality | ace peak elite
+        prime first chief main key | quality | alpha top lead
+        first initial opening prime | number | alpha one lead
+        alpha first leader head | letter | prime apex one
+        one single sole unit | number | uno mono solo unity
+        unity union oneness harmony | state | unite merge bond
+        union alliance league coalition | group | bond pact guild
+        bond tie link pact | connection | bind glue union
+        pact deal treaty accord | agreement | bond oath vow
+        key vital crucial central | importance | core main prime
+        magic wizardry sorcery | art | spell charm wand wiz
+        wizard mage sorcerer | magician | wiz sage magic
+        genius prodigy mastermind | intellect | brain wiz sage
+        ninja expert master | fighter | stealth shadow swift
+        sage wise scholar | person | oracle guru mentor
+        oracle prophet seer | person | vision sage mystic
+        vision sight foresight dream | perception | view idea lens
+        dream vision aspiration hope | idea | muse wish aim
+        hope wish aspiration | feeling | dream faith aim
+        spirit soul essence | being | ghost vibe heart
+        quantum atomic particle | physics | qubit atom photon
+        atom particle molecule | unit | atomic nano bit
+        nano micro tiny mini | size | small bit dot
+        mini small tiny little | size | lite micro pocket
+        big large huge giant vast | size | mega max jumbo titan
+        mega huge giant massive | size | max ultra super
+        super ultra hyper extra | degree | mega max plus
+        max peak top maximum | limit | apex cap full
+        plus extra bonus added | addition | more max pro
+        pro expert master ace | professional | elite prime
+        net web mesh grid | system | link node hub
+        web net network mesh | system | site page link
+        site location spot place | position | page hub domain
+        spot place point site | location | dot mark pin
+        point dot spot mark | position | pin tip node
+        tip point peak end | end | edge apex cap
+        ring circle loop band | shape | orbit halo hoop
+        loop circle cycle ring | shape | orbit spiral coil
+        orbit circle path revolve | course | ring loop halo
+        arc curve bow arch | shape | span sweep bend
+        block cube brick chunk | solid | stack chain tile
+        chain series string sequence | connection | link block ledger
+        tile panel slab | piece | grid block mosaic
+        grid mesh lattice matrix | structure | net tile frame
+        frame structure skeleton shell | framework | grid rack mold
+        shape form figure outline | attribute | mold frame cast
+        form shape mold cast | structure | figure type
+        type kind sort class | category | genre style mode
+        mode way manner method | manner | style form
+        method way process system | means | mode recipe
+        system method scheme order | arrangement | grid stack engine
+        order sequence rank array | arrangement | queue rank tier
+        rank grade level tier class | position | order score status
+        level tier grade stage | position | rank step floor
+        step stage phase pace | action | stair rung move
+        move shift motion step | change | go drift glide
+        go move proceed travel | move | run ride fly
+        run operate manage drive | operate | race sprint dash
+        drive push propel power | force | motor engine rev
+        ride travel journey | trip | cruise glide roll
+        fly soar glide wing | travel | sky jet wing aero
+        jet plane craft | aircraft | aero wing fly
+        rocket missile booster | vehicle | launch orbit thrust
+        launch takeoff liftoff | start | rocket ignite
+        star celebrity icon idol | person | stellar fame
+        icon symbol emblem logo | sign | badge mark sigil
+        sign signal symbol mark | indication | badge token seal
+        seal stamp mark emblem | device | crest sigil badge
+        mint new pristine | fresh | coin cash fresh
+        coin token piece | money | mint bit penny
+        token sign symbol chip | item | coin badge pass
+        chip bit fragment | piece | byte crumb sliver
+        bit piece scrap byte | unit | byte chip dot
+        byte octet | unit | bit data bytes
+        cyber digital virtual online | computing | net web data
+        digital electronic computerized | technology | pixel byte bit
+        virtual simulated digital | computing | meta sim
+        meta beyond above | prefix | hyper super
+        hyper super ultra | prefix | mega turbo
+        turbo boost supercharge | power | nitro rush
+        nitro turbo boost | power | rush flash
+        matrix grid array table | structure | vector mesh
+        nexus hub link node | connection | core center
+        node point vertex junction | point | hub knot link
+        vertex apex peak node | point | tip top
+        apex peak summit tip | top | crown zenith
+        zenith peak apex summit | top | sky acme
+        summit top peak crest | top | apex crown
+        titan giant colossus | giant | atlas mega
+        atlas map titan | collection | globe chart
+        phoenix firebird | bird | rise flame reborn
+        eagle hawk falcon raptor | bird | aero wing talon
+        wolf hound canine | animal | pack fang howl
+        lion cat leo | feline | pride roar mane
+        bear bruin grizzly | animal | ursa cub
+        fox vixen | canine | sly swift
+        owl hooter | bird | wise night sage
+        bee worker drone | insect | hive honey buzz
+        hive colony swarm nest | shelter | bee honey comb
+        swarm horde flock host | group | hive crowd
+        honey nectar sweet | food | bee gold comb
+        sweet sugary candy | taste | honey sugar
+        salt | mineral | sea pinch
+        spice seasoning | flavor | zest chili pepper
+        zest gusto verve vigor | energy | spice zing pep
+        pep energy vim zing | vigor | zest buzz
+    `.split('\n').map(l => l.trim()).filter(l => l);
+
+    const RELATIONS = ['synonym', 'hypernym', 'related'];
+    const RELATION_WEIGHTS = { synonym: 3, related: 2, hypernym: 1.5 };
+    const DEFAULT_LIMIT = 60;
+
+    // word -> [{ synset, index }]
+    const index = new Map();
+    const synsets = SYNSETS.map((line, i) => {
+        const [synonyms, hypernyms, related] = line.split('|').map(part => (part || '').trim().split(/\s+/).filter(w => w));
+        const synset = { synonyms, hypernyms, related };
+        synonyms.forEach((word, pos) => {
+            if (!index.has(word)) index.set(word, []);
+            index.get(word).push({ synset: i, pos });
+        });
+        return synset;
+    });
+
+    const frequencyRank = new Map();
+    WordSegmenter.WORDS.forEach((w, rank) => { if (!frequencyRank.has(w)) frequencyRank.set(w, rank); });
+
+    // 0-1, common words near 1; words outside the frequency list rank by their place in the line
+    function commonness(word, pos) {
+        if (frequencyRank.has(word)) return 1 - frequencyRank.get(word) / WordSegmenter.WORDS.length;
+        return Math.max(0, 0.4 - 0.05 * pos);
+    }
+
+    function normalize(word) {
+        return String(word || '').toLowerCase().replace(/[^a-z]/g, '');
+    }
+
+    // Headword for a pack word: itself, or its base ("payments" -> payment, "trusted" -> trust)
+    function headword(word) {
+        const w = normalize(word);
+        if (index.has(w)) return w;
+        const base = Morphology.baseForm(w);
+        return base && index.has(base) ? base : null;
+    }
+
+    function lookup(word) {
+        const head = headword(word);
+        return head ? index.get(head) : [];
+    }
+
+    /**
+     * Suggest words related to a pack's words.
+     * @param {string[]} words - Words already in the pack (also excluded from the results)
+     * @param {object} [options]
+     * @param {string[]} [options.relations] - Any of synonym, hypernym, related (default all)
+     * @param {number} [options.maxLength] - Skip longer suggestions
+     * @param {number} [options.limit] - Maximum suggestions (default 60)
+     * @returns {Array<{word: string, relation: string, from: string, score: number}>}
+     *   best first; each word appears once, with its strongest relation
+     */
+    function suggest(words, options) {
+        const opts = options || {};
+        const relations = opts.relations || RELATIONS;
+        const maxLength = opts.maxLength || Infinity;
+        const sources = [...new Set((words || []).map(normalize).filter(w => w))];
+        const existing = new Set(sources.concat(sources.map(headword).filter(w => w)));
+        const best = new Map();
+
+        for (const source of sources) {
+            for (const { synset } of lookup(source)) {
+                const set = synsets[synset];
+                const groups = { synonym: set.synonyms, hypernym: set.hypernyms, related: set.related };
+                for (const relation of relations) {
+                    (groups[relation] || []).forEach((word, pos) => {
+                        if (existing.has(word) || word.length > maxLength || word.length < 2) return;
+                        // Short, common words make better name parts
+                        const score = RELATION_WEIGHTS[relation] + 2 * commonness(word, pos) - 0.15 * Math.max(0, word.length - 4);
+                        const prev = best.get(word);
+                        if (!prev || score > prev.score) best.set(word, { word, relation, from: source, score: Math.round(score * 100) / 100 });
+                    });
+                }
+            }
+        }
+
+        return [...best.values()]
+            .sort((a, b) => b.score - a.score || a.word.length - b.word.length || a.word.localeCompare(b.word))
+            .slice(0, opts.limit || DEFAULT_LIMIT);
+    }
+
+    // True when the lexicon knows the word (or its base form)
+    function hasWord(word) {
+        return lookup(word).length > 0;
+    }
+
+    return {
+        RELATIONS,
+        size: synsets.length,
+        suggest,
+        hasWord
+    };
+});
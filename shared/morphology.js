@@ -0,0 +1,454 @@
+/**
+ * Word Variants (English inflection)
+ *
+ * Rule-based plurals, past tenses, -ing forms and the derived forms brand
+ * names are built from (-er, -ly, -ify, -able). Used by SuperCombinator.html
+ * (window.Morphology) to expand Automation packs and the generator's bulk
+ * keywords, and by shared/heuristic-score.js to match niche keywords on their
+ * stems. Load shared/segmenter.js first.
+ *
+ *   pay    -> pays, paid, paying, payer, payly, payify, payable
+ *   policy -> policies          verify -> verified, verifier, verifiable
+ *   ship   -> shipped, shipper  child  -> children
+ *
+ * A word that is already a plural, past tense or -ing form gets its base
+ * instead ("verified" -> verify, "payments" -> payment). When a form can be
+ * read back more than one way ("secured" -> secur / secure) the segmenter's
+ * dictionary decides, then spelling rules. Suffixes are limited by word class:
+ * -ed, -ing, -er and -able only go on verbs listed in VERBS ("agent" has no
+ * agented), adjectives in ADJECTIVES get no plural ("happy" has no happies),
+ * nouns like "policy" and "payment" only get plurals, "data" gets nothing,
+ * and two-letter words get no -er/-ly/-ify/-able. An -ly coinage that spells
+ * another word ("app" -> apply) is dropped.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./segmenter'));
+    } else {
+        root.Morphology = factory(root.WordSegmenter);
+    }
+})(typeof self !== 'undefined' ? self : this, function (WordSegmenter) {
+
+    const VARIANTS = [
+        { id: 'plural', label: 'Plurals', hint: 'policy -> policies, payments -> payment' },
+        { id: 'past', label: 'Past', hint: 'pay -> paid, verify -> verified' },
+        { id: 'ing', label: '-ing', hint: 'ship -> shipping, make -> making' },
+        { id: 'er', label: '-er', hint: 'lend -> lender, create -> creator' },
+        { id: 'ly', label: '-ly', hint: 'trust -> trustly, simple -> simply' },
+        { id: 'ify', label: '-ify', hint: 'shop -> shopify, pure -> purify' },
+        { id: 'able', label: '-able', hint: 'pay -> payable, rely -> reliable' }
+    ];
+
+    const IRREGULAR_PLURALS = {
+        man: 'men', woman: 'women', child: 'children', person: 'people', mouse: 'mice',
+        foot: 'feet', tooth: 'teeth', goose: 'geese', ox: 'oxen', leaf: 'leaves',
+        life: 'lives', knife: 'knives', wife: 'wives', wolf: 'wolves', half: 'halves',
+        shelf: 'shelves', thief: 'thieves', loaf: 'loaves', calf: 'calves', self: 'selves',
+        hero: 'heroes', potato: 'potatoes', tomato: 'tomatoes', echo: 'echoes', veto: 'vetoes',
+        cactus: 'cacti', fungus: 'fungi', nucleus: 'nuclei', radius: 'radii', stimulus: 'stimuli',
+        analysis: 'analyses', crisis: 'crises', thesis: 'theses', basis: 'bases', axis: 'axes',
+        criterion: 'criteria', phenomenon: 'phenomena', quiz: 'quizzes', die: 'dice'
+    };
+
+    // No plural worth generating
+    const UNCOUNTABLE = new Set([
+        'money', 'cash', 'data', 'info', 'news', 'media', 'software', 'hardware', 'equipment',
+        'advice', 'insurance', 'finance', 'health', 'wealth', 'gold', 'silver', 'equity', 'debt',
+        'fish', 'sheep', 'deer', 'series', 'species', 'aircraft', 'feedback', 'traffic', 'furniture',
+        'knowledge', 'research', 'staff', 'evidence', 'luggage', 'music', 'weather', 'water'
+    ]);
+
+    // Uncountable words that are verbs too ("cashed", "financing"); the rest take no suffixes
+    const UNCOUNTABLE_VERBS = new Set(['cash', 'finance', 'fish', 'research', 'staff', 'water', 'weather', 'traffic']);
+
+    // Noun and -ly adjective endings ("policy", "safety", "payment", "daily"): a plural at most
+    const NOUN_ENDINGS = /(ity|ety|cy|gy|phy|ism|ness|ment|tion|sion|ship|hood|[^p]ly)$/;
+
+    const DERIVED_VARIANTS = ['er', 'ly', 'ify', 'able'];
+
+    // Variants only a verb takes
+    const VERB_VARIANTS = ['past', 'ing', 'er', 'able'];
+
+    // Regular verbs that take -ed / -ing / -er / -able. Irregular verbs, the
+    // verbs among UNCOUNTABLE, DOUBLE_FINAL and AGENT_NOUNS, and words ending
+    // in -ify / -ize are verbs too.
+    const VERBS = new Set(`
+        accept access add adjust adopt advance advertise afford agree aim alert allow alter
+        analyze answer apply appoint approve arrange ask assess assign assist assure attach
+        attract audit automate avoid back bake balance bank bargain base battle bill block
+        board boast boil bond book boost borrow bounce brand brew browse budget bundle
+        calculate call care carry cater change charge charm chart chat check cheer claim
+        clean clear click climb clip close coach code collect comfort compare compete
+        compile complete compute connect consult contact contain convert cook copy count
+        cover crack craft crash create credit cross crowd cure curate dance date debit
+        decide declare decode deliver demand deploy deposit design detect develop dial
+        discover dispatch display donate double download drill drop earn edit elect
+        employ enable encode end engage enjoy enroll ensure enter equal escape estimate
+        exchange expand expect explore export express extend fetch file fill filter
+        finish fix flash float flow fold follow form found frame fuel fund gain gather
+        grab grade grant greet guard guess guide handle harvest heal heat help hire
+        host hunt import improve include increase index inform insert install insure
+        invent invite invoice issue join jump kick kill land last launch learn lease
+        level license lift like limit link list listen live load loan lock log look
+        love mail manage map mark market master match measure mend merge mine mint mix
+        monitor move name need network note notify offer open operate order own pack
+        paint park pass patch pause perform pick pitch place plan plant play pledge
+        plug point polish post pour power praise prepare present press price print
+        process produce program promise promote protect provide publish pull pump
+        punch purchase push question quote raise rank rate reach react receive record
+        recover recycle reduce refund register relax release rely remind remove rent
+        repair repeat replace reply report request rescue reserve reset resolve rest
+        return review reward roll rule rush save scale scan schedule score screen
+        search secure serve settle share shift ship shop sign solve sort spark start
+        stay step stock stop store stream study style suit supply support surf switch
+        tag talk target taste test text thank tip touch tour track trade train transform
+        travel treat trust try tune turn type unlock update upgrade upload use value
+        vote wait walk want wash watch welcome work worry yield zoom
+    `.trim().split(/\s+/));
+
+    // Adjectives: -ly makes the adverb, no plural
+    const ADJECTIVES = new Set(`
+        able active agile bad big bold brave bright brief broad busy calm cheap clever
+        close cool crisp cute dark deep direct dry eager early easy exact fair fast fine
+        firm flat fresh full funny glad good grand great green happy hard heavy high
+        honest hot huge humble keen kind large late lazy light live lively local long
+        loud low loyal lucky mad main mild modern neat new nice noble normal odd old
+        open plain polite poor pretty prime proper proud pure quick quiet rapid rare
+        ready real rich right rough round royal rude sad safe sharp short silent simple
+        slow small smart smooth soft solid sound steady strict strong sudden sure sweet
+        swift tall tidy tight tiny total tough true ugly urgent usual vast vital warm
+        weak wet white whole wide wild wise young
+    `.trim().split(/\s+/));
+
+    // -ch said as "k": "techs", not "teches"
+    const HARD_CH = /(tech|mach|epoch|arch|stomach|loch)$/;
+
+    // Ends in "s" but isn't a plural
+    const SINGULAR_S = new Set([
+        'lens', 'atlas', 'canvas', 'alias', 'bias', 'chaos', 'ethos', 'kudos', 'cosmos', 'aegis',
+        'gas', 'yes', 'plus', 'bonus', 'status', 'campus', 'focus', 'nexus', 'genius', 'virus',
+        'corpus', 'census', 'always', 'perhaps', 'thus', 'this', 'his', 'its', 'was', 'has', 'does'
+    ]);
+
+    // Plurals in -ies whose singular ends in -ie ("cookies", not "cooky")
+    const IE_SINGULARS = new Set(['movie', 'cookie', 'pie', 'tie', 'lie', 'rookie', 'selfie', 'genie', 'zombie', 'prairie', 'calorie', 'smoothie', 'hoodie', 'goalie']);
+
+    // base past participle (one per entry; "-" repeats the past)
+    const IRREGULAR_VERBS = `
+        pay paid -; buy bought -; sell sold -; build built -; make made -; send sent -;
+        lend lent -; spend spent -; get got gotten; give gave given; go went gone;
+        take took taken; find found -; hold held -; keep kept -; lead led -; meet met -;
+        win won -; run ran run; see saw seen; think thought -; bring brought -;
+        teach taught -; catch caught -; grow grew grown; know knew known; fly flew flown;
+        ride rode ridden; drive drove driven; write wrote written; speak spoke spoken;
+        break broke broken; choose chose chosen; rise rose risen; shine shone -;
+        stand stood -; tell told -; say said -; lay laid -; feed fed -; feel felt -;
+        leave left -; lose lost -; deal dealt -; mean meant -; seek sought -; sit sat -;
+        spin spun -; swim swam swum; begin began begun; sing sang sung; ring rang rung;
+        drink drank drunk; eat ate eaten; fall fell fallen; forget forgot forgotten;
+        freeze froze frozen; hide hid hidden; shoot shot -; sleep slept -; steal stole stolen;
+        stick stuck -; strike struck -; swing swung -; wake woke woken; wear wore worn;
+        bind bound -; blow blew blown; draw drew drawn; throw threw thrown; shake shook shaken;
+        light lit -; dig dug -; hang hung -; slide slid -; bleed bled -; breed bred -;
+        flee fled -; fight fought -; show showed shown; prove proved proven; do did done;
+        be was been; have had -; come came come; become became become; hear heard -;
+        understand understood -; forecast forecast -; broadcast broadcast -; put put -;
+        set set -; cut cut -; cost cost -; hit hit -; let let -; shut shut -; bet bet -;
+        bid bid -; cast cast -; quit quit -; split split -; spread spread -; hurt hurt -;
+        burst burst -; read read -; upset upset -; beat beat beaten; bite bit bitten;
+        weave wove woven; spring sprang sprung; sweep swept -; weep wept -; dream dreamt -;
+        learn learnt -; burn burnt -; spell spelt -
+    `.split(';').map(e => e.trim().split(/\s+/)).filter(e => e.length === 3);
+
+    const PAST = new Map();
+    const PAST_BASE = new Map();
+    IRREGULAR_VERBS.forEach(([base, past, participle]) => {
+        const forms = participle === '-' || participle === past ? [past] : [past, participle];
+        // "learned" / "dreamed" are as common as the irregular forms
+        if (['dream', 'learn', 'burn', 'spell', 'prove', 'show'].includes(base)) forms.push(base + 'ed');
+        PAST.set(base, forms);
+        forms.forEach(f => { if (!PAST_BASE.has(f) && f !== base) PAST_BASE.set(f, base); });
+    });
+
+    // Longer words that still double the last consonant (stress on the end)
+    const DOUBLE_FINAL = new Set([
+        'refer', 'prefer', 'occur', 'commit', 'control', 'patrol', 'admit', 'submit', 'permit',
+        'regret', 'equip', 'compel', 'propel', 'excel', 'rebel', 'begin', 'forget', 'deter',
+        'transfer', 'confer', 'infer', 'omit', 'emit', 'remit', 'acquit', 'outrun', 'upset'
+    ]);
+
+    // Agent nouns that aren't -er
+    const AGENT_NOUNS = {
+        act: 'actor', invest: 'investor', advise: 'advisor', vend: 'vendor', edit: 'editor',
+        sail: 'sailor', conduct: 'conductor', instruct: 'instructor', inspect: 'inspector',
+        direct: 'director', lie: 'liar', beg: 'beggar', visit: 'visitor', inherit: 'inheritor',
+        counsel: 'counselor', govern: 'governor', survive: 'survivor', supervise: 'supervisor'
+    };
+
+    const VOWEL = /[aeiou]/;
+
+    function isVowel(ch) {
+        return !!ch && VOWEL.test(ch);
+    }
+
+    function isWord(word) {
+        return WordSegmenter.isWord(word);
+    }
+
+    function syllables(word) {
+        const groups = word.replace(/e$/, '').match(/[aeiouy]+/g) || [];
+        return Math.max(1, groups.length);
+    }
+
+    // "ship" -> shipp-ed, "plan" -> plann-ing, but "open", "rain", "fix" stay
+    function shouldDouble(word) {
+        const n = word.length;
+        if (DOUBLE_FINAL.has(word) || /^qu[aeiou][^aeiouwxy]$/.test(word)) return true;
+        if (n < 3) return false;
+        const [a, b, c] = word.slice(-3);
+        if (isVowel(a) || !isVowel(b) || isVowel(c) || 'wxy'.includes(c)) return false;
+        if (n > 3 && isVowel(word[n - 4]) && !(word[n - 4] === 'u' && word[n - 5] === 'q')) return false;
+        return syllables(word) === 1;
+    }
+
+    // Add a suffix starting with a vowel (-ed, -ing, -er, -able)
+    function attach(word, suffix) {
+        const last = word[word.length - 1];
+        const prev = word[word.length - 2];
+
+        if (last === 'e') {
+            if (suffix === 'ing') {
+                if (prev === 'i') return word.slice(0, -2) + 'ying';
+                return prev === 'e' || prev === 'y' || prev === 'o' ? word + suffix : word.slice(0, -1) + suffix;
+            }
+            if (suffix === 'able') {
+                // Soft c/g keep the e ("changeable"), so does "ee" ("agreeable")
+                return prev === 'c' || prev === 'g' || prev === 'e' ? word + suffix : word.slice(0, -1) + suffix;
+            }
+            return word + suffix.slice(1);
+        }
+        if (last === 'y' && !isVowel(prev)) {
+            return suffix === 'ing' ? word + suffix : word.slice(0, -1) + 'i' + suffix.replace(/^i/, '');
+        }
+        if (last === 'c' && prev === 'i' && (suffix === 'ed' || suffix === 'ing')) {
+            return word + 'k' + suffix;
+        }
+        if (shouldDouble(word)) {
+            return word + last + suffix;
+        }
+        return word + suffix;
+    }
+
+    function pluralize(word) {
+        if (UNCOUNTABLE.has(word)) return null;
+        if (IRREGULAR_PLURALS[word]) return IRREGULAR_PLURALS[word];
+        if (/[^aeiou]y$/.test(word)) return word.slice(0, -1) + 'ies';
+        if (/(s|x|z|ch|sh)$/.test(word) && !HARD_CH.test(word)) return word + 'es';
+        return word + 's';
+    }
+
+    const SINGULARS = new Map(Object.entries(IRREGULAR_PLURALS).map(([s, p]) => [p, s]));
+
+    // The singular of a plural, or null when the word isn't one
+    function singularize(word) {
+        if (SINGULARS.has(word)) return SINGULARS.get(word);
+        if (UNCOUNTABLE.has(word) || SINGULAR_S.has(word) || word.length <= 3 || !word.endsWith('s')) return null;
+        if (/(ss|us|is|ous)$/.test(word)) return null;
+
+        const candidates = [];
+        if (word.endsWith('ies')) {
+            const ie = word.slice(0, -1);
+            candidates.push(IE_SINGULARS.has(ie) ? ie : word.slice(0, -3) + 'y');
+        } else if (/(sses|xes|zes|ches|shes)$/.test(word)) {
+            candidates.push(word.slice(0, -2));
+        }
+        candidates.push(word.slice(0, -1));
+        return pickBase(word, candidates);
+    }
+
+    // The first candidate in the dictionary; failing that the first, unless the word itself is a word
+    function pickBase(word, candidates) {
+        const valid = candidates.filter(c => c.length >= 2 && /[aeiouy]/.test(c));
+        const known = valid.find(isWord);
+        if (known) return known;
+        if (isWord(word) || valid.length === 0) return null;
+        return valid[0];
+    }
+
+    // A silent e was dropped before the suffix ("hoped" -> hope, "priced" -> price)
+    function needsE(stem) {
+        if (/(v|[aeiou]c|[aeiou]z|[aeiou]s|[^aeiou]ur|[^aeioun]g)$/.test(stem)) return true;
+        const n = stem.length;
+        return n >= 3 && syllables(stem) === 1 && !isVowel(stem[n - 3]) && isVowel(stem[n - 2]) && !isVowel(stem[n - 1]) && !'wxy'.includes(stem[n - 1]);
+    }
+
+    // Base of an -ed / -ing form, or null
+    function unsuffix(word, suffix) {
+        if (!word.endsWith(suffix) || word.length < suffix.length + 3) return null;
+        const stem = word.slice(0, -suffix.length);
+        if (!/[aeiouy]/.test(stem)) return null;
+
+        const candidates = [];
+        const undoubled = stem.slice(0, -1);
+        if (suffix === 'ed' && stem.endsWith('i')) candidates.push(undoubled + 'y');
+        if (suffix === 'ing' && stem.endsWith('y')) candidates.push(undoubled + 'ie');
+        if (stem.endsWith('ick') && syllables(stem) > 1) candidates.push(undoubled);
+        // "shipp" -> ship, but "add" and "bill" keep both letters
+        if (/([^aeiou])\1$/.test(stem) && shouldDouble(undoubled)) candidates.push(undoubled);
+        if (needsE(stem)) candidates.push(stem + 'e');
+        candidates.push(stem);
+        if (!needsE(stem)) candidates.push(stem + 'e');
+        return pickBase(word, candidates);
+    }
+
+    function pastForms(word) {
+        if (PAST.has(word)) return PAST.get(word);
+        return [attach(word, 'ed')];
+    }
+
+    function pastBase(word) {
+        if (PAST_BASE.has(word)) return PAST_BASE.get(word);
+        return unsuffix(word, 'ed');
+    }
+
+    function agentNoun(word) {
+        if (/(er|or|ar|ist)$/.test(word)) return null;
+        if (AGENT_NOUNS[word]) return AGENT_NOUNS[word];
+        if (word.endsWith('ate') && word.length >= 6) return word.slice(0, -1) + 'or';
+        return attach(word, 'er');
+    }
+
+    function withLy(word) {
+        if (word.endsWith('ly')) return null;
+        if (/[^aeiou]le$/.test(word)) return word.slice(0, -1) + 'y';
+        if (word.endsWith('ll')) return word + 'y';
+        if (word.endsWith('ue')) return word.slice(0, -1) + 'ly';
+        if (/[^aeiou]y$/.test(word)) return word.slice(0, -1) + 'ily';
+        if (word.endsWith('ic') && word.length > 4) return word + 'ally';
+        return word + 'ly';
+    }
+
+    // No consonant doubling: "shop" -> shopify
+    function withIfy(word) {
+        if (/(ify|fy)$/.test(word)) return null;
+        if (/[^aeiou]y$/.test(word) || (word.endsWith('e') && !word.endsWith('ee'))) return word.slice(0, -1) + 'ify';
+        return word + 'ify';
+    }
+
+    function withAble(word) {
+        if (/(able|ible)$/.test(word)) return null;
+        return attach(word, 'able');
+    }
+
+    function isVerb(word) {
+        return VERBS.has(word) || PAST.has(word) || UNCOUNTABLE_VERBS.has(word) || DOUBLE_FINAL.has(word) ||
+            !!AGENT_NOUNS[word] || /(ify|ize)$/.test(word);
+    }
+
+    // Whether the word's class takes the variant's suffix: "policy" has no
+    // policify, "data" no dataed, "go" no goly, "verify" no verifily, "nova"
+    // (not a known verb) no novaed, "happy" (an adjective) no happies
+    function takesSuffix(word, variant) {
+        if (variant === 'plural') return !ADJECTIVES.has(word) || isVerb(word);
+        if (VERB_VARIANTS.includes(variant) && !isVerb(word)) return false;
+        if (word.length > 4 && NOUN_ENDINGS.test(word)) return false;
+        if (UNCOUNTABLE.has(word) && !UNCOUNTABLE_VERBS.has(word)) return false;
+        if (DERIVED_VARIANTS.includes(variant) && word.length < 3) return false;
+        // "happy" -> happily, but "verify" has no verifily
+        if (variant === 'ly' && ADJECTIVES.has(word)) return true;
+        return !((variant === 'ly' || variant === 'ify') && /[^aeiou]y$/.test(word));
+    }
+
+    /**
+     * Base of a plural, past tense or -ing form ("payments" -> payment,
+     * "trusted" -> trust, "lending" -> lend), or null when the word isn't one.
+     * @param {string} word
+     * @returns {string|null}
+     */
+    function baseForm(word) {
+        const w = String(word || '').toLowerCase();
+        if (!/^[a-z]{2,}$/.test(w)) return null;
+        return singularize(w) || pastBase(w) || unsuffix(w, 'ing');
+    }
+
+    /**
+     * Forms of one word for one variant. A word already in that form gives
+     * its base instead; a word in another inflected form ("payments" for -ly)
+     * gives nothing, and neither does a suffix its word class doesn't take
+     * (see takesSuffix).
+     * @param {string} word - Lowercase a-z
+     * @param {string} variant - plural | past | ing | er | ly | ify | able
+     * @returns {string[]}
+     */
+    function variantForms(word, variant) {
+        const w = String(word || '').toLowerCase();
+        if (!/^[a-z]{2,}$/.test(w)) return [];
+
+        const bases = {
+            plural: singularize(w),
+            past: pastBase(w),
+            ing: unsuffix(w, 'ing')
+        };
+        if (bases[variant]) return [bases[variant]];
+        if (Object.values(bases).some(b => b)) return [];
+
+        let forms;
+        switch (variant) {
+            case 'plural':
+                forms = w.length > 2 ? [pluralize(w)] : [];
+                break;
+            case 'past':
+                forms = PAST.has(w) || w.length > 2 ? pastForms(w) : [];
+                break;
+            case 'ing':
+                forms = w.length > 2 ? [attach(w, 'ing')] : PAST.has(w) ? [w + 'ing'] : [];
+                break;
+            case 'er':
+                forms = [agentNoun(w)];
+                break;
+            case 'ly':
+                forms = [withLy(w)];
+                break;
+            case 'ify':
+                forms = [withIfy(w)];
+                break;
+            case 'able':
+                forms = [withAble(w)];
+                break;
+            default:
+                forms = [];
+        }
+        if (!takesSuffix(w, variant)) return [];
+        // "trustly" is a coinage; "apply" is another word, not app + ly
+        if (variant === 'ly' && !ADJECTIVES.has(w)) forms = forms.filter(f => !isVerb(f) && !ADJECTIVES.has(f));
+        return forms.filter(f => f && f !== w);
+    }
+
+    /**
+     * Words plus the chosen variants of each, originals first, no repeats.
+     * Words with digits or hyphens are kept but not inflected.
+     * @param {string[]} words
+     * @param {string[]} variants - VARIANTS ids
+     * @returns {string[]}
+     */
+    function expandWords(words, variants) {
+        const result = new Set(words);
+        if (!variants || variants.length === 0) return [...result];
+        for (const word of words) {
+            for (const variant of variants) {
+                variantForms(word, variant).forEach(f => result.add(f));
+            }
+        }
+        return [...result];
+    }
+
+    return {
+        VARIANTS,
+        pluralize,
+        singularize,
+        pastForms,
+        baseForm,
+        variantForms,
+        expandWords
+    };
+});
@@ -0,0 +1,557 @@
+/**
+ * Phonetic Similarity
+ *
+ * Double Metaphone codes plus edit distance, for spotting names that sound
+ * alike: near-twins in a generated list ("trustlab" / "trustlabs",
+ * "paysnap" / "paysnapp"), candidates that echo a saved winner, and
+ * respellings of real words ("kwik" ~ "quick") in the offline scorer. Used by
+ * SuperCombinator.html (window.Phonetic) and shared/heuristic-score.js.
+ *
+ *   doubleMetaphone(word)        [primary, alternate] codes ("smith" -> SM0 / XMT)
+ *   levenshtein(a, b)            edit distance
+ *   soundsAlike(a, b)            the sound-alike test below
+ *   createMatcher(names)         index a list, then match(name) -> sound-alikes in it
+ *   clusterNames(names, opts)    sound-alike groups with their strongest member
+ *
+ * Edit distance is taken on a respelled name (ph -> f, qu -> kw, c -> k/s,
+ * "gh" before t or at the end dropped, doubled letters once), so "quickpay" /
+ * "kwikpay" are 0 apart. Two names sound alike when they are 0 apart; 1 apart
+ * as a plural ("trustlab" / "trustlabs") or with a shared code and no
+ * consonant swapped for another ("lite" / "light", but not "paygold" /
+ * "paycold" or "cash" / "cast"); or 2 apart in vowels only with a shared code
+ * when both have 6+ letters ("lendly" / "lendlee"). Only the name is
+ * compared; the TLD is dropped.
+ */
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.Phonetic = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+
+    const VOWELS = 'AEIOUY';
+    const MIN_LOOSE_MATCH_LENGTH = 6;
+
+    function normalizeName(value) {
+        return String(value || '').toLowerCase().trim().split('.')[0].replace(/[^a-z0-9]/g, '');
+    }
+
+    /**
+     * Double Metaphone (Lawrence Philips), for English-ish brand names.
+     * Codes are not cut to 4 letters: whole names are compared, not surnames.
+     * @param {string} word
+     * @param {number} [maxLength] - Optional cap on code length
+     * @returns {string[]} [primary, alternate] (equal when there is one reading)
+     */
+    function doubleMetaphone(word, maxLength) {
+        const w = String(word || '').toUpperCase().replace(/[^A-Z]/g, '');
+        const last = w.length - 1;
+        const cap = maxLength || Infinity;
+        let primary = '';
+        let alternate = '';
+        let i = 0;
+
+        const at = (pos, ...subs) => pos >= 0 && subs.some(s => w.substr(pos, s.length) === s);
+        const isVowel = pos => pos >= 0 && pos <= last && VOWELS.includes(w[pos]);
+        const add = (main, alt) => {
+            primary += main;
+            alternate += alt === undefined ? main : alt;
+        };
+        const slavoGermanic = /W|K|CZ|WITZ/.test(w);
+
+        if (at(0, 'GN', 'KN', 'PN', 'WR', 'PS')) i = 1;
+        if (w[0] === 'X') {
+            add('S');
+            i = 1;
+        }
+
+        while (i <= last && (primary.length < cap || alternate.length < cap)) {
+            const ch = w[i];
+            switch (ch) {
+                case 'A': case 'E': case 'I': case 'O': case 'U': case 'Y':
+                    if (i === 0) add('A');
+                    i++;
+                    break;
+
+                case 'B':
+                    add('P');
+                    i += w[i + 1] === 'B' ? 2 : 1;
+                    break;
+
+                case 'C':
+                    if (i > 1 && !isVowel(i - 2) && at(i - 1, 'ACH') && w[i + 2] !== 'I' && (w[i + 2] !== 'E' || at(i - 2, 'BACHER', 'MACHER'))) {
+                        add('K');
+                        i += 2;
+                    } else if (i === 0 && at(i, 'CAESAR')) {
+                        add('S');
+                        i += 2;
+                    } else if (at(i, 'CHIA')) {
+                        add('K');
+                        i += 2;
+                    } else if (at(i, 'CH')) {
+                        if (i > 0 && at(i, 'CHAE')) {
+                            add('K', 'X');
+                        } else if (i === 0 && (at(i + 1, 'HARAC', 'HARIS', 'HOR', 'HYM', 'HIA', 'HEM')) && !at(0, 'CHORE')) {
+                            add('K');
+                        } else if (at(0, 'VAN ', 'VON ', 'SCH') || at(i - 2, 'ORCHES', 'ARCHIT', 'ORCHID') || at(i + 2, 'T', 'S') ||
+                            ((at(i - 1, 'A', 'O', 'U', 'E') || i === 0) && at(i + 2, 'L', 'R', 'N', 'M', 'B', 'H', 'F', 'V', 'W'))) {
+                            add('K');
+                        } else if (i > 0) {
+                            add(at(0, 'MC') ? 'K' : 'X', 'K');
+                        } else {
+                            add('X');
+                        }
+                        i += 2;
+                    } else if (at(i, 'CZ') && !at(i - 2, 'WICZ')) {
+                        add('S', 'X');
+                        i += 2;
+                    } else if (at(i + 1, 'CIA')) {
+                        add('X');
+                        i += 3;
+                    } else if (at(i, 'CC') && !(i === 1 && w[0] === 'M')) {
+                        if (at(i + 2, 'I', 'E', 'H') && !at(i + 2, 'HU')) {
+                            add(at(i - 1, 'UCCEE', 'UCCES') || (i === 1 && w[0] === 'A') ? 'KS' : 'X');
+                            i += 3;
+                        } else {
+                            add('K');
+                            i += 2;
+                        }
+                    } else if (at(i, 'CK', 'CG', 'CQ')) {
+                        add('K');
+                        i += 2;
+                    } else if (at(i, 'CI', 'CE', 'CY')) {
+                        add('S', at(i, 'CIO', 'CIE', 'CIA') ? 'X' : 'S');
+                        i += 2;
+                    } else {
+                        add('K');
+                        i += at(i + 1, ' C', ' Q', ' G') ? 3 : at(i + 1, 'C', 'K', 'Q') && !at(i + 1, 'CE', 'CI') ? 2 : 1;
+                    }
+                    break;
+
+                case 'D':
+                    if (at(i, 'DG')) {
+                        if (at(i + 2, 'I', 'E', 'Y')) {
+                            add('J');
+                            i += 3;
+                        } else {
+                            add('TK');
+                            i += 2;
+                        }
+                    } else {
+                        add('T');
+                        i += at(i, 'DT', 'DD') ? 2 : 1;
+                    }
+                    break;
+
+                case 'F':
+                    add('F');
+                    i += w[i + 1] === 'F' ? 2 : 1;
+                    break;
+
+                case 'G':
+                    if (w[i + 1] === 'H') {
+                        if (i > 0 && !isVowel(i - 1)) {
+                            add('K');
+                        } else if (i === 0) {
+                            add(w[i + 2] === 'I' ? 'J' : 'K');
+                        } else if ((i > 1 && at(i - 2, 'B', 'H', 'D')) || (i > 2 && at(i - 3, 'B', 'H', 'D')) || (i > 3 && at(i - 4, 'B', 'H'))) {
+                            // "bright", "though": silent
+                        } else if (i > 2 && w[i - 1] === 'U' && at(i - 3, 'C', 'G', 'L', 'R', 'T')) {
+                            add('F');
+                        } else if (i > 0 && w[i - 1] !== 'I') {
+                            add('K');
+                        }
+                        i += 2;
+                    } else if (w[i + 1] === 'N') {
+                        if (i === 1 && isVowel(0) && !slavoGermanic) {
+                            add('KN', 'N');
+                        } else if (!at(i + 2, 'EY') && w[i + 1] !== 'Y' && !slavoGermanic) {
+                            add('N', 'KN');
+                        } else {
+                            add('KN');
+                        }
+                        i += 2;
+                    } else if (at(i + 1, 'LI') && !slavoGermanic) {
+                        add('KL', 'L');
+                        i += 2;
+                    } else if (i === 0 && (w[1] === 'Y' || at(1, 'ES', 'EP', 'EB', 'EL', 'EY', 'IB', 'IL', 'IN', 'IE', 'EI', 'ER'))) {
+                        add('K', 'J');
+                        i += 2;
+                    } else if ((at(i + 1, 'ER') || w[i + 1] === 'Y') && !at(0, 'DANGER', 'RANGER', 'MANGER') && !at(i - 1, 'E', 'I') && !at(i - 1, 'RGY', 'OGY')) {
+                        add('K', 'J');
+                        i += 2;
+                    } else if (at(i + 1, 'E', 'I', 'Y') || at(i - 1, 'AGGI', 'OGGI')) {
+                        if (at(0, 'VAN ', 'VON ', 'SCH') || at(i + 1, 'ET')) {
+                            add('K');
+                        } else if (at(i + 1, 'IER')) {
+                            add('J');
+                        } else {
+                            add('J', 'K');
+                        }
+                        i += 2;
+                    } else {
+                        add('K');
+                        i += w[i + 1] === 'G' ? 2 : 1;
+                    }
+                    break;
+
+                case 'H':
+                    // Sounded only at the start of a syllable, before a vowel
+                    if ((i === 0 || isVowel(i - 1)) && isVowel(i + 1)) {
+                        add('H');
+                        i += 2;
+                    } else {
+                        i++;
+                    }
+                    break;
+
+                case 'J':
+                    if (at(i, 'JOSE') || at(0, 'SAN ')) {
+                        add(i === 0 ? 'H' : 'J', 'H');
+                        i++;
+                        break;
+                    }
+                    if (i === 0) {
+                        add('J', 'A');
+                    } else if (isVowel(i - 1) && !slavoGermanic && (w[i + 1] === 'A' || w[i + 1] === 'O')) {
+                        add('J', 'H');
+                    } else if (i === last) {
+                        add('J', '');
+                    } else if (!at(i + 1, 'L', 'T', 'K', 'S', 'N', 'M', 'B', 'Z') && !at(i - 1, 'S', 'K', 'L')) {
+                        add('J');
+                    }
+                    i += w[i + 1] === 'J' ? 2 : 1;
+                    break;
+
+                case 'K':
+                    add('K');
+                    i += w[i + 1] === 'K' ? 2 : 1;
+                    break;
+
+                case 'L':
+                    if (w[i + 1] === 'L') {
+                        const spanish = (i === last - 2 && at(i - 1, 'ILLO', 'ILLA', 'ALLE')) ||
+                            ((at(last - 1, 'AS', 'OS') || at(last, 'A', 'O')) && at(i - 1, 'ALLE'));
+                        add('L', spanish ? '' : 'L');
+                        i += 2;
+                    } else {
+                        add('L');
+                        i++;
+                    }
+                    break;
+
+                case 'M':
+                    add('M');
+                    i += (at(i - 1, 'UMB') && (i + 1 === last || at(i + 2, 'ER'))) || w[i + 1] === 'M' ? 2 : 1;
+                    break;
+
+                case 'N':
+                    add('N');
+                    i += w[i + 1] === 'N' ? 2 : 1;
+                    break;
+
+                case 'P':
+                    if (w[i + 1] === 'H') {
+                        add('F');
+                        i += 2;
+                    } else {
+                        add('P');
+                        i += at(i + 1, 'P', 'B') ? 2 : 1;
+                    }
+                    break;
+
+                case 'Q':
+                    add('K');
+                    i += w[i + 1] === 'Q' ? 2 : 1;
+                    break;
+
+                case 'R':
+                    // French endings ("rogier") drop the R in the primary
+                    if (i === last && !slavoGermanic && at(i - 2, 'IE') && !at(i - 4, 'ME', 'MA')) {
+                        add('', 'R');
+                    } else {
+                        add('R');
+                    }
+                    i += w[i + 1] === 'R' ? 2 : 1;
+                    break;
+
+                case 'S':
+                    if (at(i - 1, 'ISL', 'YSL')) {
+                        i++;
+                    } else if (i === 0 && at(i, 'SUGAR')) {
+                        add('X', 'S');
+                        i++;
+                    } else if (at(i, 'SH')) {
+                        add(at(i + 1, 'HEIM', 'HOEK', 'HOLM', 'HOLZ') ? 'S' : 'X');
+                        i += 2;
+                    } else if (at(i, 'SIO', 'SIA', 'SIAN')) {
+                        add('S', slavoGermanic ? 'S' : 'X');
+                        i += 3;
+                    } else if ((i === 0 && at(i + 1, 'M', 'N', 'L', 'W')) || at(i + 1, 'Z')) {
+                        add('S', 'X');
+                        i += at(i + 1, 'Z') ? 2 : 1;
+                    } else if (at(i, 'SC')) {
+                        if (w[i + 2] === 'H') {
+                            if (at(i + 3, 'OO', 'ER', 'EN', 'UY', 'ED', 'EM')) {
+                                add(at(i + 3, 'ER', 'EN') ? 'X' : 'SK', 'SK');
+                            } else {
+                                add('X', i === 0 && !isVowel(3) && w[3] !== 'W' ? 'S' : 'X');
+                            }
+                        } else if (at(i + 2, 'I', 'E', 'Y')) {
+                            add('S');
+                        } else {
+                            add('SK');
+                        }
+                        i += 3;
+                    } else {
+                        if (i === last && at(i - 2, 'AI', 'OI')) {
+                            add('', 'S');
+                        } else {
+                            add('S');
+                        }
+                        i += at(i + 1, 'S', 'Z') ? 2 : 1;
+                    }
+                    break;
+
+                case 'T':
+                    if (at(i, 'TION', 'TIA', 'TCH')) {
+                        add('X');
+                        i += 3;
+                    } else if (at(i, 'TH', 'TTH')) {
+                        add(at(i + 2, 'OM', 'AM') || at(0, 'VAN ', 'VON ', 'SCH') ? 'T' : '0', 'T');
+                        i += 2;
+                    } else {
+                        add('T');
+                        i += at(i + 1, 'T', 'D') ? 2 : 1;
+                    }
+                    break;
+
+                case 'V':
+                    add('F');
+                    i += w[i + 1] === 'V' ? 2 : 1;
+                    break;
+
+                case 'W':
+                    if (at(i, 'WR')) {
+                        add('R');
+                        i += 2;
+                    } else {
+                        if (i === 0 && (isVowel(1) || at(i, 'WH'))) {
+                            add('A', isVowel(1) ? 'F' : 'A');
+                        }
+                        if ((i === last && isVowel(i - 1)) || at(i - 1, 'EWSKI', 'EWSKY', 'OWSKI', 'OWSKY') || at(0, 'SCH')) {
+                            add('', 'F');
+                        } else if (at(i, 'WICZ', 'WITZ')) {
+                            add('TS', 'FX');
+                            i += 3;
+                        }
+                        i++;
+                    }
+                    break;
+
+                case 'X':
+                    if (!(i === last && (at(i - 3, 'IAU', 'EAU') || at(i - 2, 'AU', 'OU')))) add('KS');
+                    i += at(i + 1, 'C', 'X') ? 2 : 1;
+                    break;
+
+                case 'Z':
+                    if (w[i + 1] === 'H') {
+                        add('J');
+                        i += 2;
+                    } else {
+                        add('S', at(i + 1, 'ZO', 'ZI', 'ZA') || (slavoGermanic && i > 0 && w[i - 1] !== 'T') ? 'TS' : 'S');
+                        i += w[i + 1] === 'Z' ? 2 : 1;
+                    }
+                    break;
+
+                default:
+                    i++;
+            }
+        }
+
+        return [primary.slice(0, cap), alternate.slice(0, cap)];
+    }
+
+    function levenshtein(a, b) {
+        if (a === b) return 0;
+        if (!a.length) return b.length;
+        if (!b.length) return a.length;
+
+        let prev = [...Array(b.length + 1).keys()];
+        for (let i = 1; i <= a.length; i++) {
+            const row = [i];
+            for (let j = 1; j <= b.length; j++) {
+                row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+            }
+            prev = row;
+        }
+        return prev[b.length];
+    }
+
+    // Spellings that read the same collapse together; vowels stay
+    function respell(name) {
+        return name
+            .replace(/ph/g, 'f')
+            .replace(/([aeiou])gh(?=t|$)/g, '$1')
+            .replace(/qu/g, 'kw')
+            .replace(/ck/g, 'k')
+            .replace(/c(?=[eiy])/g, 's')
+            .replace(/[cq]/g, 'k')
+            .replace(/x/g, 'ks')
+            .replace(/z/g, 's')
+            .replace(/(.)\1+/g, '$1');
+    }
+
+    function deletions(word) {
+        const out = [];
+        for (let i = 0; i < word.length; i++) {
+            out.push(word.slice(0, i) + word.slice(i + 1));
+        }
+        return out;
+    }
+
+    // Phonetic view of a name: codes for the letters, digits kept as written
+    function describe(value) {
+        const name = normalizeName(value);
+        const digits = name.replace(/[^0-9]/g, '');
+        const codes = [...new Set(doubleMetaphone(name))].filter(c => c).map(c => c + digits);
+        const spelled = respell(name);
+        return { name, spelled, consonants: spelled.replace(/[aeiouy]/g, ''), codes };
+    }
+
+    // Same length, one letter different, both consonants ("paygold" / "paykold")
+    function swapsConsonant(a, b) {
+        if (a.length !== b.length) return false;
+        const i = [...a].findIndex((ch, j) => ch !== b[j]);
+        return i >= 0 && !'aeiouy'.includes(a[i]) && !'aeiouy'.includes(b[i]);
+    }
+
+    function alike(x, y) {
+        if (!x.name || !y.name || Math.abs(x.spelled.length - y.spelled.length) > 2) return false;
+        const distance = levenshtein(x.spelled, y.spelled);
+        if (distance === 0) return true;
+        if (distance > 2) return false;
+        if (distance === 2 && (x.consonants !== y.consonants || Math.min(x.name.length, y.name.length) < MIN_LOOSE_MATCH_LENGTH)) return false;
+
+        if (distance === 1) {
+            // A plural, or the same sound spelled another way - never one consonant swapped for another
+            if (x.spelled === y.spelled + 's' || y.spelled === x.spelled + 's') return true;
+            if (swapsConsonant(x.spelled, y.spelled)) return false;
+        }
+        return x.codes.some(cx => y.codes.includes(cx));
+    }
+
+    /**
+     * Do two names sound alike? The same name on another TLD does.
+     */
+    function soundsAlike(a, b) {
+        return alike(describe(a), describe(b));
+    }
+
+    // Names (with their list position) bucketed by code, respelling and respelling minus a letter
+    function buildIndex(names) {
+        const entries = [];
+        const byKey = new Map();
+        const addKey = (key, idx) => {
+            if (!byKey.has(key)) byKey.set(key, []);
+            const list = byKey.get(key);
+            if (list[list.length - 1] !== idx) list.push(idx);
+        };
+        const keysOf = info => info.codes.map(c => 'c:' + c).concat('n:' + info.spelled, deletions(info.spelled).map(d => 'n:' + d));
+
+        (names || []).forEach((original, pos) => {
+            const info = describe(original);
+            if (!info.name) return;
+            const idx = entries.length;
+            entries.push({ original, pos, ...info });
+            // Code keys find respellings; deletion keys find one-edit twins
+            keysOf(info).forEach(key => addKey(key, idx));
+        });
+
+        function candidates(info) {
+            const found = new Set();
+            for (const key of keysOf(info)) {
+                for (const idx of byKey.get(key) || []) found.add(idx);
+            }
+            return found;
+        }
+
+        return { entries, candidates };
+    }
+
+    /**
+     * Index a list of names for sound-alike lookups.
+     * @param {string[]} names - Names or domains
+     * @returns {{ size: number, match: function(string): string[] }}
+     *   match returns the listed names (as given) that sound like the argument, itself excluded
+     */
+    function createMatcher(names) {
+        const { entries, candidates } = buildIndex(names);
+
+        function match(value) {
+            const info = describe(value);
+            if (!info.name) return [];
+            const self = String(value);
+            const out = [];
+            for (const idx of candidates(info)) {
+                const entry = entries[idx];
+                if (entry.original !== self && alike(info, entry)) out.push(entry.original);
+            }
+            return out;
+        }
+
+        return { size: entries.length, match };
+    }
+
+    /**
+     * Group a list into sound-alike clusters. The strongest name not yet in a
+     * group starts one, and only names that sound like it join, so a chain
+     * ("cash" - "cast" - "case") never links names that don't sound alike.
+     * @param {string[]} names
+     * @param {{ scoreOf?: function(string): number }} [options] - Higher is stronger
+     * @returns {Array<{ best: string, members: string[] }>}
+     *   groups in list order, members in list order; best is the highest score,
+     *   then the shortest, then the first listed
+     */
+    function clusterNames(names, options) {
+        const list = [...new Set(names || [])];
+        const scoreOf = (options && options.scoreOf) || (() => 0);
+        const { entries, candidates } = buildIndex(list);
+        const scores = entries.map(e => Number(scoreOf(e.original)) || 0);
+        const strongestFirst = entries.map((_, idx) => idx)
+            .sort((a, b) => scores[b] - scores[a] || entries[a].name.length - entries[b].name.length || a - b);
+
+        // List position -> index of the group's best name
+        const groupOf = list.map((_, pos) => pos);
+        const placed = new Set();
+        for (const idx of strongestFirst) {
+            if (placed.has(idx)) continue;
+            placed.add(idx);
+            const best = entries[idx];
+            for (const other of candidates(best)) {
+                if (placed.has(other) || !alike(best, entries[other])) continue;
+                placed.add(other);
+                groupOf[entries[other].pos] = best.pos;
+            }
+        }
+
+        const groups = new Map();
+        list.forEach((name, pos) => {
+            const bestPos = groupOf[pos];
+            if (!groups.has(bestPos)) groups.set(bestPos, { best: list[bestPos], members: [] });
+            groups.get(bestPos).members.push(name);
+        });
+        // Groups open at their first member, so they come out in list order
+        return [...groups.values()];
+    }
+
+    return {
+        doubleMetaphone,
+        levenshtein,
+        soundsAlike,
+        createMatcher,
+        clusterNames
+    };
+});
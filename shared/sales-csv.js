@@ -0,0 +1,338 @@
+/**
+ * Sales CSV Import
+ *
+ * Turns a domain sales export (NameBio, DNJournal, a registrar report, a
+ * hand-made sheet) into CompEngine sales records. Used by
+ * tools/comp-analyzer.html and SuperCombinator.html (window.SalesCSV).
+ *
+ * Steps:
+ *   parseCSV(text)                 RFC 4180 rows (quoted fields, "" escapes, CRLF, newlines in quotes)
+ *   detectColumns(rows)            guess { hasHeader, columns: { domain, price, date, currency, venue } }
+ *   buildSales(rows, mapping)      records + per-row errors + duplicate count
+ *   importSales(text, mapping?)    all three in one go
+ *
+ * Records: { domain, name, tld, price, currency, venue, year, date }
+ * Duplicates are the same domain, price and date (e.g. a sale listed by two venues).
+ */
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.SalesCSV = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+
+    const FIELDS = ['domain', 'price', 'date', 'currency', 'venue'];
+    const REQUIRED_FIELDS = ['domain', 'price'];
+    const MAX_ERRORS = 200;
+
+    // Lowercased header names (spaces/punctuation removed) per field
+    const HEADER_ALIASES = {
+        domain: ['domain', 'domainname', 'name', 'domains', 'url', 'sld'],
+        price: ['price', 'amount', 'saleprice', 'soldprice', 'soldfor', 'priceusd', 'usd', 'value'],
+        date: ['date', 'saledate', 'solddate', 'datesold', 'sold', 'year', 'when'],
+        currency: ['currency', 'cur', 'ccy', 'pricecurrency'],
+        venue: ['venue', 'marketplace', 'market', 'platform', 'soldat', 'source', 'seller', 'where']
+    };
+
+    const CURRENCY_SYMBOLS = { '$': 'USD', '€': 'EUR', '£': 'GBP', '¥': 'JPY' };
+    const DOMAIN_PATTERN = /^[a-z0-9][a-z0-9-]*(\.[a-z0-9-]+)+$/i;
+
+    /**
+     * RFC 4180 parser. Returns an array of rows (arrays of strings).
+     * Blank lines are skipped; a leading BOM is ignored.
+     */
+    function parseCSV(text) {
+        const src = String(text || '').replace(/^\uFEFF/, '');
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+        let i = 0;
+
+        const endRow = () => {
+            row.push(field);
+            if (row.length > 1 || row[0].trim() !== '') rows.push(row);
+            row = [];
+            field = '';
+        };
+
+        while (i < src.length) {
+            const ch = src[i];
+            if (quoted) {
+                if (ch === '"') {
+                    if (src[i + 1] === '"') {
+                        field += '"';
+                        i += 2;
+                        continue;
+                    }
+                    quoted = false;
+                } else {
+                    field += ch;
+                }
+                i++;
+                continue;
+            }
+
+            if (ch === '"' && field.trim() === '') {
+                quoted = true;
+                field = '';
+            } else if (ch === ',') {
+                row.push(field);
+                field = '';
+            } else if (ch === '\r' || ch === '\n') {
+                endRow();
+                if (ch === '\r' && src[i + 1] === '\n') i++;
+            } else {
+                field += ch;
+            }
+            i++;
+        }
+        if (field !== '' || row.length > 0) endRow();
+
+        return rows;
+    }
+
+    function headerKey(h) {
+        return String(h || '').toLowerCase().replace(/[^a-z]/g, '');
+    }
+
+    function looksLikeDomain(v) {
+        return DOMAIN_PATTERN.test(String(v || '').trim());
+    }
+
+    /**
+     * Guess which column holds which field.
+     * @param {string[][]} rows
+     * @returns {{ hasHeader: boolean, headers: string[], columns: object }}
+     *   columns maps each field to a column index, or -1 when not found
+     */
+    function detectColumns(rows) {
+        const first = (rows && rows[0]) || [];
+        const columns = {};
+        FIELDS.forEach(f => { columns[f] = -1; });
+
+        // Header row: match aliases, exact names before prefixes
+        const keys = first.map(headerKey);
+        for (const field of FIELDS) {
+            const aliases = HEADER_ALIASES[field];
+            let idx = keys.findIndex((k, i) => aliases.includes(k) && !Object.values(columns).includes(i));
+            if (idx < 0) {
+                idx = keys.findIndex((k, i) => k && aliases.some(a => k.startsWith(a)) && !Object.values(columns).includes(i));
+            }
+            columns[field] = idx;
+        }
+
+        const hasHeader = columns.domain >= 0 && !looksLikeDomain(first[columns.domain]);
+        if (hasHeader) {
+            return { hasHeader, headers: first.map(h => String(h).trim()), columns };
+        }
+
+        // Unknown header names (or none): find the columns from the data
+        const sample = rows.slice(0, 21);
+        const width = Math.max(0, ...sample.map(r => r.length));
+        const colIds = [...Array(width).keys()];
+        const domainCol = colIds.find(c => sample.filter(r => looksLikeDomain(r[c])).length >= sample.length / 2);
+        const guessed = {};
+        FIELDS.forEach(f => { guessed[f] = -1; });
+        guessed.domain = domainCol !== undefined ? domainCol : 0;
+
+        // A first row without a domain in it is a header we couldn't read
+        const unknownHeader = sample.length > 1 && !looksLikeDomain(first[guessed.domain]);
+        const data = unknownHeader ? sample.slice(1) : sample;
+
+        const priceCol = colIds.find(c => c !== guessed.domain && data.length > 0 && data.every(r => {
+            const price = parsePrice(r[c]);
+            return price.amount !== null || price.ambiguous;
+        }));
+        guessed.price = priceCol !== undefined ? priceCol : (guessed.domain === 0 ? 1 : 0);
+        const dateCol = colIds.find(c => c !== guessed.domain && c !== guessed.price && data.some(r => /\b(19|20)\d{2}\b/.test(r[c] || '')));
+        guessed.date = dateCol !== undefined ? dateCol : -1;
+
+        return {
+            hasHeader: unknownHeader,
+            headers: colIds.map(c => unknownHeader && first[c] ? String(first[c]).trim() : `Column ${c + 1}`),
+            columns: guessed
+        };
+    }
+
+    // Currencies written with dot thousands and a decimal comma ("€1.200,50")
+    const DOT_THOUSANDS_CURRENCIES = ['EUR'];
+    const MULTIPLIERS = { k: 1e3, m: 1e6, mm: 1e6, b: 1e9, bn: 1e9 };
+
+    /**
+     * Parse a price cell: "$1,200", "1.200,50 €", "€1.200", "USD 950", "2.5k",
+     * "$1.2M", "2500".
+     * A lone separator before three digits ("1,200", "1.200") is read as
+     * thousands only when it is the currency's thousands separator: a dot for
+     * dot-thousands currencies (EUR), a comma for the rest. The other
+     * separator, or no known currency, makes the value ambiguous and amount
+     * null. Negatives, exponents ("3e5") and broken digit groups ("$1,2",
+     * "1,20,0") are not prices and give null.
+     * @param {string} value
+     * @param {{ currency?: string }} [options] - currency from another column, for the locale
+     * @returns {{ amount: number|null, currency: string, ambiguous?: boolean }}
+     */
+    function parsePrice(value, options) {
+        const raw = String(value ?? '').trim();
+        if (!raw) return { amount: null, currency: '' };
+
+        let currency = '';
+        let num = raw;
+        for (const [symbol, code] of Object.entries(CURRENCY_SYMBOLS)) {
+            if (raw.includes(symbol)) currency = code;
+            num = num.split(symbol).join('');
+        }
+        const code = raw.match(/\b([A-Z]{3})\b/);
+        if (code) currency = code[1];
+
+        const suffix = raw.match(/\d\s*(k|mm|m|bn|b)\b/i);
+        const multiplier = suffix ? MULTIPLIERS[suffix[1].toLowerCase()] : 1;
+
+        // Digits and separators are all that may be left
+        num = num.replace(/\b[A-Z]{3}\b/, '').replace(/(\d)\s*(k|mm|m|bn|b)\b/i, '$1').replace(/\s+/g, '');
+        if (!/^\d[\d.,]*$/.test(num) || !/\d$/.test(num)) return { amount: null, currency };
+
+        const locale = (currency || (options && options.currency) || '').toUpperCase();
+        const thousandsSep = !locale ? null : DOT_THOUSANDS_CURRENCIES.includes(locale) ? '.' : ',';
+        const commas = (num.match(/,/g) || []).length;
+        const dots = (num.match(/\./g) || []).length;
+        if (commas > 0 && dots > 0) {
+            // Whichever comes last is the decimal separator, the other groups thousands
+            const [group, decimal] = num.lastIndexOf(',') > num.lastIndexOf('.') ? ['.', ','] : [',', '.'];
+            const pattern = new RegExp(`^\\d{1,3}(\\${group}\\d{3})+\\${decimal}\\d{1,2}$`);
+            if (!pattern.test(num)) return { amount: null, currency };
+            num = num.split(group).join('').replace(decimal, '.');
+        } else if (commas + dots > 1) {
+            // "12,500,000" / "1.200.000": thousands groups
+            if (!/^\d{1,3}(,\d{3})+$/.test(num) && !/^\d{1,3}(\.\d{3})+$/.test(num)) return { amount: null, currency };
+            num = num.replace(/[.,]/g, '');
+        } else if (commas + dots === 1) {
+            const sep = commas ? ',' : '.';
+            const decimals = num.length - num.indexOf(sep) - 1;
+            if (suffix) {
+                // "2.5k", "€3,5K"
+                num = num.replace(sep, '.');
+            } else if (decimals === 3 && /^\d{1,3}[.,]\d{3}$/.test(num)) {
+                if (sep !== thousandsSep) return { amount: null, currency, ambiguous: true };
+                num = num.replace(sep, '');
+            } else if (decimals <= 2 && sep !== thousandsSep) {
+                // "12,5", "950.00": a decimal
+                num = num.replace(sep, '.');
+            } else {
+                return { amount: null, currency };
+            }
+        }
+
+        const amount = parseFloat(num);
+        return { amount: isNaN(amount) ? null : amount * multiplier, currency };
+    }
+
+    function parseYear(dateStr) {
+        const match = String(dateStr || '').match(/\b(19\d{2}|20\d{2})\b/);
+        return match ? parseInt(match[1], 10) : null;
+    }
+
+    function cell(row, idx) {
+        return idx >= 0 && idx < row.length ? String(row[idx]).trim() : '';
+    }
+
+    /**
+     * Build sales records from parsed rows.
+     * @param {string[][]} rows
+     * @param {{ hasHeader: boolean, columns: object }} mapping - detectColumns() result, possibly edited
+     * @param {{ defaultCurrency?: string }} [options]
+     * @returns {{ sales: Array, errors: Array<{row: number, message: string}>, duplicates: number,
+     *   ambiguousPrices: number, total: number }}
+     *   row numbers are 1-based and count the header row; ambiguous prices are also errors
+     */
+    function buildSales(rows, mapping, options) {
+        const cols = (mapping && mapping.columns) || {};
+        const missing = REQUIRED_FIELDS.filter(f => !(cols[f] >= 0));
+        if (missing.length) {
+            throw new Error(`Map a column for: ${missing.join(', ')}`);
+        }
+
+        const defaultCurrency = (options && options.defaultCurrency) || 'USD';
+        const start = mapping.hasHeader ? 1 : 0;
+        const sales = [];
+        const errors = [];
+        const seen = new Set();
+        let duplicates = 0;
+        let ambiguousPrices = 0;
+
+        const addError = (row, message) => {
+            if (errors.length < MAX_ERRORS) errors.push({ row, message });
+        };
+
+        for (let i = start; i < rows.length; i++) {
+            const row = rows[i];
+            const rowNum = i + 1;
+
+            const domain = cell(row, cols.domain).toLowerCase().replace(/^https?:\/\//, '').replace(/^www\./, '').replace(/\/.*$/, '');
+            if (!domain) {
+                addError(rowNum, 'missing domain');
+                continue;
+            }
+            if (!looksLikeDomain(domain)) {
+                addError(rowNum, `"${domain}" is not a domain`);
+                continue;
+            }
+
+            const priceCell = cell(row, cols.price);
+            const currencyCell = cell(row, cols.currency);
+            const { amount, currency: priceCurrency, ambiguous } = parsePrice(priceCell, { currency: currencyCell });
+            if (ambiguous) {
+                ambiguousPrices++;
+                addError(rowNum, `ambiguous price "${priceCell}" (write 1200 or 1.2)`);
+                continue;
+            }
+            if (amount === null || amount <= 0) {
+                addError(rowNum, priceCell ? `invalid price "${priceCell}"` : 'missing price');
+                continue;
+            }
+
+            const date = cell(row, cols.date);
+            const parts = domain.split('.');
+            const record = {
+                domain,
+                name: parts[0],
+                tld: parts[1] || 'com',
+                price: amount,
+                currency: (currencyCell || priceCurrency || defaultCurrency).toUpperCase(),
+                venue: cell(row, cols.venue),
+                year: parseYear(date),
+                date
+            };
+
+            const key = `${record.domain}|${record.price}|${record.date}`;
+            if (seen.has(key)) {
+                duplicates++;
+                continue;
+            }
+            seen.add(key);
+            sales.push(record);
+        }
+
+        return { sales, errors, duplicates, ambiguousPrices, total: rows.length - start };
+    }
+
+    // Parse + auto-detect + build, for callers without a mapping step
+    function importSales(text, mapping, options) {
+        const rows = parseCSV(text);
+        const detected = mapping || detectColumns(rows);
+        return { ...buildSales(rows, detected, options), mapping: detected };
+    }
+
+    return {
+        FIELDS,
+        REQUIRED_FIELDS,
+        MAX_ERRORS,
+        parseCSV,
+        detectColumns,
+        parsePrice,
+        buildSales,
+        importSales
+    };
+});
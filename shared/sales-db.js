@@ -0,0 +1,120 @@
+/**
+ * Comp Sales Dataset Store
+ *
+ * Browser-only (IndexedDB). Keeps named comp sales datasets so a CSV is
+ * loaded once and reused by SuperCombinator.html and tools/comp-analyzer.html
+ * (window.SalesDB) - both pages live on the same origin and share them.
+ *
+ * Database "supercombo-comps", object store "datasets" (keyPath "name"):
+ *   { name, sales: [...SalesCSV records], count, source, loadedAt, errors, duplicates }
+ * The dataset both pages value against is remembered in localStorage
+ * (dg_comp_dataset).
+ */
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.SalesDB = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+
+    const DB_NAME = 'supercombo-comps';
+    const DB_VERSION = 1;
+    const STORE = 'datasets';
+    const DEFAULT_DATASET = 'sales';
+    const ACTIVE_KEY = 'dg_comp_dataset';
+
+    let dbPromise = null;
+
+    function openDb() {
+        if (dbPromise) return dbPromise;
+        dbPromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not available'));
+                return;
+            }
+            const req = indexedDB.open(DB_NAME, DB_VERSION);
+            req.onupgradeneeded = () => {
+                const db = req.result;
+                if (!db.objectStoreNames.contains(STORE)) {
+                    db.createObjectStore(STORE, { keyPath: 'name' });
+                }
+            };
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+        // Let a later call retry after a failed open
+        dbPromise.catch(() => { dbPromise = null; });
+        return dbPromise;
+    }
+
+    async function run(mode, fn) {
+        const db = await openDb();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(STORE, mode);
+            const req = fn(tx.objectStore(STORE));
+            tx.oncomplete = () => resolve(req ? req.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    /**
+     * Store a dataset, replacing any dataset with the same name.
+     * @param {string} name
+     * @param {Array} sales - SalesCSV records
+     * @param {{source?: string, errors?: number, duplicates?: number}} [meta] - Import summary
+     */
+    function saveDataset(name, sales, meta) {
+        const m = meta || {};
+        const record = {
+            name: name || DEFAULT_DATASET,
+            sales: sales || [],
+            count: (sales || []).length,
+            source: m.source || '',
+            loadedAt: new Date().toISOString(),
+            errors: m.errors || 0,
+            duplicates: m.duplicates || 0
+        };
+        return run('readwrite', store => store.put(record)).then(() => record);
+    }
+
+    async function getDataset(name) {
+        return (await run('readonly', store => store.get(name || getActiveName()))) || null;
+    }
+
+    function deleteDataset(name) {
+        return run('readwrite', store => store.delete(name || getActiveName()));
+    }
+
+    // Summaries (no sales arrays), sorted by name
+    async function listDatasets() {
+        const all = (await run('readonly', store => store.getAll())) || [];
+        return all
+            .map(d => ({ name: d.name, count: d.count ?? d.sales.length, source: d.source, loadedAt: d.loadedAt }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    function getActiveName() {
+        try {
+            return localStorage.getItem(ACTIVE_KEY) || DEFAULT_DATASET;
+        } catch (e) {
+            return DEFAULT_DATASET;
+        }
+    }
+
+    function setActiveName(name) {
+        localStorage.setItem(ACTIVE_KEY, name || DEFAULT_DATASET);
+    }
+
+    return {
+        DEFAULT_DATASET,
+        saveDataset,
+        getDataset,
+        deleteDataset,
+        listDatasets,
+        getActiveName,
+        setActiveName
+    };
+});
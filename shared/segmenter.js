@@ -0,0 +1,277 @@
+/**
+ * Word Segmenter
+ *
+ * Splits a concatenated name into words: "getmoneyfast" -> get money fast,
+ * "paysecure" -> pay secure, "trustee" stays one word. Shared by the comp
+ * engine (token, structure and industry scoring) and the offline heuristic
+ * scorer, in the browser (window.WordSegmenter) and in Node.
+ *
+ * Dynamic programming over every split point, minimising total word cost.
+ * Word cost follows Zipf's law: the word at frequency rank r costs
+ * log(r * log N), so common words win over rare ones. A substring that isn't
+ * in the dictionary costs more than any known word and grows with its length,
+ * so unknown letters stay together as one token instead of being chopped up.
+ * An unknown piece is never shorter than three letters, and never sits next
+ * to a one- or two-letter word, so "exchange" can't read as ex + change or
+ * "google" as go + ogle. The list covers everyday English as well as naming
+ * vocabulary, so real words like "therapist" and "together" are found whole.
+ * Digit runs are their own tokens; hyphens, dots and spaces always split.
+ */
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.WordSegmenter = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+
+    // Roughly ordered by frequency (most common first), weighted toward the
+    // vocabulary domain names are built from
+    const WORDS = `
+        the of and to in is for on it with as at by be this that from or an are
+        you your we our all new more one get can my go up out now top best free
+        home web net online app pay buy shop store market trade deal sale sell
+        money cash bank fund loan credit card price cost rate tax fee bill data
+        cloud tech soft ware code dev api bot ai smart auto link site page hub
+        lab labs box base core zone spot point spark flow stack work works job
+        team group club life live love time day way world city land house health
+        care med fit food eat cook drink travel trip fly car ride secure safe
+        trust guard shield lock vault key proof true sure clear fast quick rapid
+        swift easy simple instant snap flash bolt rush first prime max pro plus
+        two three ten hundred big small mini micro mega super ultra hyper meta
+        neo next good great better bright fresh pure real right well wise bold
+        blue green red black white gold silver orange pink purple gray grey sun
+        moon star sky rain snow wind fire water earth stone rock tree leaf seed
+        root bloom grow garden farm field wood forest ocean sea wave river lake
+        bay peak hill mountain valley lead leads leader boost growth scale rank
+        reach view views click ads ad media brand mark marketing social share
+        post feed news blog press book books learn school class study skill
+        skills mind brain think idea ideas plan plans goal win wins pick picks
+        find search seek match payment payments wallet coin coins token tokens
+        chain block crypto bit ledger invest investor capital equity asset
+        assets wealth rich profit profits margin revenue income yield gain gains
+        return lend lender lenders lending mortgage finance financial fin
+        invoice budget save saver savings loans debt funds funding insure
+        insurance claim policy agent agents broker brokers legal law lawyer
+        court case taxes account accounts audit security privacy private verify
+        verified identity id auth access fraud risk compliance check checks scan
+        watch alert signal signals monitor metric metrics insight insights
+        analytics analyze analysis report reports track tracker trace graph
+        chart machine learning neural vision voice chat talk speak ask answer
+        predict logic cognitive intelligence intelligent robot robotic system
+        systems engine engines platform network networks server stacks tool
+        tools kit kits suite solution solutions service services software
+        hardware device devices mobile phone tablet digital virtual cyber pixel
+        byte bytes node nodes grid mesh port open source sync send receive
+        transfer move ship shipping deliver delivery order orders cart checkout
+        merchant vendor seller buyer customer customers client clients user
+        users member members people partner partners venture ventures holdings
+        global local nation national united union metro urban rural healthy
+        doctor doc clinic hospital medical medicine pharma drug dental vet pet
+        pets dog dogs cat cats baby kids kid family mom dad son art arts design
+        studio studios photo video film music sound audio song play game games
+        gaming fun toy toys sport sports gym yoga run runner bike golf ball
+        fashion style wear shoe shoes bag beauty skin hair spa salon homes
+        estate realty property properties rent rental room rooms space spaces
+        office desk build builder builders construct craft maker makers make
+        made forge factory energy power solar electric volt charge battery fuel
+        oil gas eco clean climate carbon air breeze rights justice tour tours
+        trips hotel stay booking flight flights foods kitchen chef recipe
+        recipes meal meals cafe coffee tea wine beer bar pizza burger taco
+        organic jobs career careers hire hiring talent staff worker teach
+        teacher course courses academy tutor minds thought spirit soul heart
+        faith hope joy peace calm zen quest journey path road route map maps
+        guide guides compass north south east west down left center central
+        alpha beta gamma delta omega sigma apex summit vertex zenith nova
+        stellar orbit rocket launch jet jets pilot quantum atom atomic fusion
+        nexus matrix vector pulse beat rhythm echo fox wolf bear lion tiger
+        eagle hawk owl bee ant fish bird horse bull king queen royal crown
+        empire castle knight sage oracle cashflow workflow workflows dashboard
+        hq io got going gone come coming do does doing done makes making take
+        takes taking give gives giving see seen look looks looking show shows
+        know known knows say says use used uses using need needs want wants like
+        likes help helps helper helpers start starts starter end ends keep keeps
+        hold holds turn turns change changes call calls text texts mail email
+        list lists note notes form forms file files docs sheet sheets sign signs
+        set sets setup test tests fix fixes repair cares wash pays paid asks bet
+        bets odds value values worth deals clubs stores markets trades trader
+        traders trading prices pricing priced rates rating ratings score scores
+        level levels step steps stage stages planner shops shopping buys buying
+        sells selling sales rents renting rides drive drives driver park parking
+        wheel wheels motor motors dock hubs ports gate gates door doors ways
+        bridge bridges tower towers wall walls line lines loop loops ring rings
+        circle square cube sphere edge edges side sides front back inside
+        outside over under after before ever never always just only very much
+        many every each any some no not yes ok okay hello hi hey welcome thank
+        thanks please here there where when what why how who which about above
+        across into onto upon than then also too own owner owners self trustee
+        trusted trusting trusts trustworthy brands branding marks name names
+        naming word words letter letters number numbers count counts counter sum
+        total math science bio biology gene genes genetic cell cells chem
+        chemistry physics geo astro robo techno info intel logix sys ops devops
+        fintech insurtech proptech edtech medtech legaltech regtech portfolio
+        portfolios enterprise business businesses offline marketplace flows
+        company companies consult consulting expert experts advisor advisors
+        advice genius hero heroes ninja wizard master masters planet cosmic
+        galaxy speed speedy turbo plain basic coupon coupons discount bargain
+        rentals lease leasing pros ace aces elite premium luxury lux offices
+        desks wellness fitness diet nutrition vitamin light lights dark shadow
+        glow shine ready steady solid strong tough hires
+        domain domains exchange exchanges quote quotes together season seasons
+        island islands therapist therapy pen pens her him she he they them their
+        his its whom whose was were been being had has have did would could
+        should might must shall will may person reason represent because little
+        program question government problem student country state states story
+        place thing things week month year years night morning example public
+        history party result moment area mother father brother sister child
+        children friend friends face eye eyes head hand hands body paper table
+        chair window floor street seas trees flower flowers village town centre
+        metal metals
+        another between through during without within against among around again
+        still while until since already almost often later soon today tonight
+        tomorrow yesterday everyone everything nothing something someone anyone
+        anything sorry maybe really important different possible general special
+        certain common whole final main major minor recent similar single
+        political economic federal human natural personal physical serious young
+        old early late long short high low large hard close full empty happy sad
+        able apply applies applied application reply answers asked become began
+        begin believe bring brought built called came carry comes consider
+        continue create created decide describe develop die expect explain fall
+        feel felt follow found gave given goes happen happened hear heard kept
+        knew leave let lose lost means meet met moved offer provide put read
+        remain remember require said saw seem sent serve shown sit spend stand
+        suggest taken tell told took try understand wait walk write written
+    `.split(/\s+/).filter(w => w);
+
+    const MAX_WORD_LENGTH = 20;
+
+    function buildCosts(words) {
+        const costs = new Map();
+        const n = Math.max(2, words.length);
+        const logN = Math.log(n);
+        words.forEach((w, rank) => {
+            const word = w.toLowerCase();
+            if (!costs.has(word)) costs.set(word, Math.log((rank + 1) * logN));
+        });
+        return costs;
+    }
+
+    /**
+     * Create a segmenter over a ranked word list (most frequent first).
+     * @param {string[]} [extraWords] - Appended after the built-in words (lower frequency)
+     */
+    function createSegmenter(extraWords) {
+        const words = WORDS.concat((extraWords || []).map(w => String(w).toLowerCase().replace(/[^a-z]/g, '')).filter(w => w));
+        const costs = buildCosts(words);
+        const maxLen = Math.min(MAX_WORD_LENGTH, [...costs.keys()].reduce((max, w) => Math.max(max, w.length), 0));
+        // Anything unknown costs more than the rarest word, plus a bit per letter
+        const unknownBase = Math.log((costs.size + 1) * Math.log(costs.size)) + 2;
+        const UNKNOWN_PER_CHAR = 2.3;
+
+        function wordCost(word) {
+            if (costs.has(word)) return costs.get(word);
+            // Plural of a known word
+            if (word.length > 3 && word.endsWith('s') && costs.has(word.slice(0, -1))) {
+                return costs.get(word.slice(0, -1)) + 1;
+            }
+            return Infinity;
+        }
+
+        function isWord(word) {
+            return wordCost(String(word || '').toLowerCase()) !== Infinity;
+        }
+
+        // Piece types; a word this short never sits next to an unknown run,
+        // otherwise "google" reads as go + ogle and "beach" as be + ach
+        const WORD = 0;
+        const SHORT = 1;
+        const UNKNOWN = 2;
+        const SHORT_WORD_LENGTH = 2;
+        const MIN_UNKNOWN_LENGTH = 3;
+
+        // Best split of a run of letters, tracking what kind of piece ends at each point
+        function segmentLetters(text) {
+            const n = text.length;
+            const best = [...Array(n + 1)].map(() => [Infinity, Infinity, Infinity]);
+            const back = [...Array(n + 1)].map(() => [null, null, null]);
+            best[0][WORD] = 0;
+
+            for (let i = 1; i <= n; i++) {
+                for (let j = 0; j < i; j++) {
+                    const piece = text.slice(j, i);
+                    const cost = i - j <= maxLen ? wordCost(piece) : Infinity;
+                    const type = cost === Infinity ? UNKNOWN : piece.length <= SHORT_WORD_LENGTH ? SHORT : WORD;
+                    // One or two stray unknown letters ("b" + each, crypto + "ex" + change)
+                    // are never a real split; they stay with the letters around them
+                    if (type === UNKNOWN && piece.length < MIN_UNKNOWN_LENGTH && piece.length < n) continue;
+                    const pieceCost = type === UNKNOWN ? unknownBase + UNKNOWN_PER_CHAR * piece.length : cost;
+
+                    for (let prev = WORD; prev <= UNKNOWN; prev++) {
+                        if (best[j][prev] === Infinity) continue;
+                        if ((prev === UNKNOWN && type === SHORT) || (prev === SHORT && type === UNKNOWN)) continue;
+                        const total = best[j][prev] + pieceCost;
+                        if (total < best[i][type]) {
+                            best[i][type] = total;
+                            back[i][type] = { from: j, prev };
+                        }
+                    }
+                }
+            }
+
+            let type = best[n].indexOf(Math.min(...best[n]));
+            const tokens = [];
+            for (let i = n; i > 0;) {
+                const { from, prev } = back[i][type];
+                tokens.unshift({ word: text.slice(from, i), known: type !== UNKNOWN });
+                i = from;
+                type = prev;
+            }
+            return tokens;
+        }
+
+        /**
+         * Split a name into tokens with a known flag.
+         * The TLD is dropped when a full domain is given.
+         * @returns {{ tokens: string[], known: boolean[], coverage: number }}
+         *   coverage = share of letters inside dictionary words (0-1)
+         */
+        function analyze(text) {
+            const name = String(text || '').toLowerCase().trim().split('.')[0];
+            const parts = name.match(/[a-z]+|\d+/g) || [];
+            const out = [];
+
+            for (const part of parts) {
+                if (/^\d+$/.test(part)) {
+                    out.push({ word: part, known: false });
+                } else {
+                    out.push(...segmentLetters(part));
+                }
+            }
+
+            const letters = out.reduce((sum, t) => sum + (/\d/.test(t.word) ? 0 : t.word.length), 0);
+            const knownLetters = out.reduce((sum, t) => sum + (t.known ? t.word.length : 0), 0);
+            return {
+                tokens: out.map(t => t.word),
+                known: out.map(t => t.known),
+                coverage: letters > 0 ? knownLetters / letters : 0
+            };
+        }
+
+        function segment(text) {
+            return analyze(text).tokens;
+        }
+
+        return { segment, analyze, isWord };
+    }
+
+    const defaultSegmenter = createSegmenter();
+
+    return {
+        WORDS,
+        createSegmenter,
+        segment: defaultSegmenter.segment,
+        analyze: defaultSegmenter.analyze,
+        isWord: defaultSegmenter.isWord
+    };
+});
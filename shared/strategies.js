@@ -0,0 +1,213 @@
+/**
+ * Generation Strategies
+ *
+ * Ways to build a name from a combo's parts beyond plain concatenation, shared
+ * by the Generator and Automation in SuperCombinator.html
+ * (window.NameStrategies) and the agent pipeline
+ * (require('../../shared/strategies')), so a strategy builds the same names
+ * in the browser and in the agent.
+ *
+ *   plain    pay + snap -> paysnap
+ *   blend    payment + mentor -> paymentor (overlap), lend + mentor -> lentor (shared vowel)
+ *   clip     finance + track -> fintrack, fintrak; bright -> brite
+ *   vowels   trusted -> trstd, flicker -> flickr
+ *   letters  snap -> snapp (doubling), clear -> klear, lift -> lyft, apps -> appz (swaps)
+ *
+ * Every variant keeps its combo's sources with the strategy appended, e.g.
+ * "A:payment, B:mentor (blend)", so scores and exports show how it was built.
+ */
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.NameStrategies = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+
+    const STRATEGIES = [
+        { id: 'plain', label: 'Plain', hint: 'pay + snap -> paysnap' },
+        { id: 'blend', label: 'Blend', hint: 'payment + mentor -> paymentor' },
+        { id: 'clip', label: 'Clip', hint: 'finance + track -> fintrak' },
+        { id: 'vowels', label: 'Drop vowels', hint: 'trusted -> trstd, flicker -> flickr' },
+        { id: 'letters', label: 'Double / swap', hint: 'snap -> snapp, clear -> klear, lift -> lyft' }
+    ];
+    const DEFAULT_STRATEGIES = ['plain'];
+
+    const MIN_FORM_LENGTH = 3;
+    const VOWELS = 'aeiou';
+    const DOUBLABLE = 'bdgklmnprt';
+
+    function isVowel(word, i) {
+        const ch = word[i];
+        if (VOWELS.includes(ch)) return true;
+        // y is a vowel after a consonant ("fly", "lyft"), not at the start ("yield")
+        return ch === 'y' && i > 0 && !VOWELS.includes(word[i - 1]);
+    }
+
+    // Longest k where a ends with b's first k letters, leaving something of each
+    function overlapLength(a, b) {
+        for (let k = Math.min(a.length, b.length) - 1; k >= 1; k--) {
+            if (a.endsWith(b.slice(0, k))) return k;
+        }
+        return 0;
+    }
+
+    // lend + mentor -> lentor: a's head up to a vowel, b's tail from the same vowel
+    function vowelBlend(a, b) {
+        for (let j = 1; j < b.length; j++) {
+            if (!VOWELS.includes(b[j])) continue;
+            const i = a.lastIndexOf(b[j]);
+            if (i >= 1 && b.length - j >= 3) return a.slice(0, i) + b.slice(j);
+            return null;
+        }
+        return null;
+    }
+
+    function blendPair(a, b) {
+        if (!a || !b) return null;
+        const k = overlapLength(a, b);
+        return k > 0 ? a + b.slice(k) : vowelBlend(a, b);
+    }
+
+    // First syllable, closed: finance -> fin, mortgage -> mort, payment -> pay
+    function clipWord(word) {
+        let i = 0;
+        while (i < word.length && !isVowel(word, i)) i++;
+        if (i === word.length) return null;
+        while (i < word.length && (isVowel(word, i) || (word[i] === 'y' && i > 0))) i++;
+        if (/[yw]/.test(word[i - 1])) return word.slice(0, i);
+        let end = i;
+        while (end < word.length && !isVowel(word, end)) end++;
+        if (end === word.length) return null;
+        return word.slice(0, Math.max(i + 1, end - 1));
+    }
+
+    // Simpler spellings of a final word: track -> trak, bright -> brite
+    function respellWord(word) {
+        const out = word.replace(/ck/g, 'k').replace(/ph/g, 'f').replace(/ight$/, 'ite');
+        return out !== word ? out : null;
+    }
+
+    function dropVowels(word) {
+        return word[0] + word.slice(1).replace(/[aeiou]/g, '');
+    }
+
+    function blendForms(parts) {
+        const forms = [];
+        for (let i = 0; i < parts.length - 1; i++) {
+            const merged = blendPair(parts[i], parts[i + 1]);
+            if (merged) forms.push([...parts.slice(0, i), merged, ...parts.slice(i + 2)].join(''));
+        }
+        return forms;
+    }
+
+    function clipForms(parts) {
+        const head = parts.slice(0, -1);
+        const last = parts[parts.length - 1];
+        const clippedHead = head.map(p => {
+            const clip = clipWord(p);
+            return clip && clip.length >= 2 ? clip : p;
+        });
+        const respelled = respellWord(last);
+        const clipped = clippedHead.some((p, i) => p !== head[i]);
+        const forms = [];
+        if (clipped) forms.push(clippedHead.join('') + last);
+        if (respelled) {
+            if (clipped) forms.push(clippedHead.join('') + respelled);
+            forms.push(head.join('') + respelled);
+        }
+        return forms;
+    }
+
+    function vowelForms(parts) {
+        const name = parts.join('');
+        const last = parts[parts.length - 1];
+        const head = parts.slice(0, -1).join('');
+        const forms = [dropVowels(name)];
+        if (parts.length > 1) forms.push(head + dropVowels(last));
+        // flicker -> flickr, tumbler -> tumblr
+        if (/[^aeiou](er)$/.test(name)) forms.push(name.slice(0, -2) + 'r');
+        return forms;
+    }
+
+    function letterForms(parts) {
+        const name = parts.join('');
+        const forms = [];
+        // Doubled final consonant after a single vowel: snap -> snapp
+        if (/[^aeiou][aeiou][a-z]$/.test(name) && DOUBLABLE.includes(name[name.length - 1])) {
+            forms.push(name + name[name.length - 1]);
+        }
+        // Hard c -> k: clear -> klear, cash -> kash
+        const hardC = name.search(/c(?![eihyk])/);
+        if (hardC >= 0) forms.push(name.slice(0, hardC) + 'k' + name.slice(hardC + 1));
+        // i between consonants -> y: lift -> lyft
+        const i = name.search(/[^aeiouy]i[^aeiouy]/);
+        if (i >= 0) forms.push(name.slice(0, i + 1) + 'y' + name.slice(i + 2));
+        if (/cks$/.test(name)) forms.push(name.slice(0, -3) + 'x');
+        else if (/[^s]s$/.test(name)) forms.push(name.slice(0, -1) + 'z');
+        return forms;
+    }
+
+    const BUILDERS = {
+        plain: parts => [parts.join('')],
+        blend: blendForms,
+        clip: clipForms,
+        vowels: vowelForms,
+        letters: letterForms
+    };
+
+    /**
+     * Names one strategy builds from a combo's parts.
+     * @param {string[]} parts - Words and literals in order, e.g. ['payment', 'mentor']
+     * @param {string} strategy - A STRATEGIES id
+     * @returns {string[]} unique names, never the plain join for non-plain strategies
+     */
+    function strategyForms(parts, strategy) {
+        const builder = BUILDERS[strategy];
+        const words = (parts || []).map(p => String(p).toLowerCase()).filter(p => p);
+        if (!builder || words.length === 0) return [];
+        const plain = words.join('');
+        return [...new Set(builder(words))]
+            .filter(f => f && f.length >= MIN_FORM_LENGTH && (strategy === 'plain' || f !== plain));
+    }
+
+    /**
+     * Run the chosen strategies over generated combos.
+     * @param {Array<{domain: string, template?: string, sources?: string, parts?: string[]}>} candidates
+     *   parts default to [domain]
+     * @param {string[]} [strategies] - STRATEGIES ids; unknown ids are ignored (default plain)
+     * @returns {Array<{domain: string, template: string, sources: string, strategy: string}>}
+     *   in candidate order; a combo's name built more than one way is kept once
+     */
+    function applyStrategies(candidates, strategies) {
+        const chosen = STRATEGIES.map(s => s.id).filter(id => (strategies && strategies.length ? strategies : DEFAULT_STRATEGIES).includes(id));
+        const results = [];
+
+        for (const c of candidates || []) {
+            const parts = c.parts && c.parts.length ? c.parts : [c.domain];
+            const seen = new Set();
+            for (const strategy of chosen) {
+                for (const domain of strategyForms(parts, strategy)) {
+                    if (seen.has(domain)) continue;
+                    seen.add(domain);
+                    const sources = c.sources || '';
+                    results.push({
+                        domain,
+                        template: c.template,
+                        sources: strategy === 'plain' ? sources : `${sources} (${strategy})`.trim(),
+                        strategy
+                    });
+                }
+            }
+        }
+        return results;
+    }
+
+    return {
+        STRATEGIES,
+        DEFAULT_STRATEGIES,
+        strategyForms,
+        applyStrategies
+    };
+});
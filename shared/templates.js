@@ -0,0 +1,228 @@
+/**
+ * Combination Template Grammar
+ *
+ * Shared by SuperCombinator.html (window.TemplateGrammar) and the Netlify
+ * functions (require('../../shared/templates')), so a template means the
+ * same thing in the browser and in the agent.
+ *
+ * Syntax:
+ *   {A} {B} {C}          word packs
+ *   {prefix} {suffix}    multipliers ({pre} / {suf} also accepted)
+ *   {slot?}              optional slot - also emits the combo without it
+ *   anything else        literal text (a-z, 0-9, hyphen)
+ *
+ *   "{prefix}{A}{B}{suffix}", "get{A}", "{A}{suffix?}", "{A}-{B}"
+ *
+ * Legacy names ("A+B", "prefix+A+B", "A+suffix", ...) are still accepted
+ * and mean the same as the braced form.
+ */
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.TemplateGrammar = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+
+    const SLOTS = ['A', 'B', 'C', 'prefix', 'suffix'];
+
+    const SLOT_ALIASES = {
+        a: 'A', b: 'B', c: 'C',
+        prefix: 'prefix', pre: 'prefix',
+        suffix: 'suffix', suf: 'suffix'
+    };
+
+    // Labels used in the "sources" attribution string
+    const SOURCE_LABELS = { A: 'A', B: 'B', C: 'C', prefix: 'pre', suffix: 'suf' };
+
+    const MAX_TEMPLATE_LENGTH = 60;
+    const DEFAULT_MAX_RESULTS = 200000;
+
+    /**
+     * Parse a template into parts.
+     * Throws an Error with a user-facing message when the template is invalid.
+     * @returns {{ source: string, parts: Array<{type: 'slot', name: string, optional: boolean}|{type: 'literal', value: string}> }}
+     */
+    function parseTemplate(template) {
+        const source = String(template || '').trim();
+        if (!source) throw new Error('Template is empty');
+        if (source.length > MAX_TEMPLATE_LENGTH) {
+            throw new Error(`Template is longer than ${MAX_TEMPLATE_LENGTH} characters`);
+        }
+
+        const parts = source.includes('{') || source.includes('}')
+            ? parseBraced(source)
+            : parseLegacy(source);
+
+        if (!parts.some(p => p.type === 'slot')) {
+            throw new Error(`"${source}" has no slots - use {A}, {B}, {C}, {prefix} or {suffix}`);
+        }
+
+        return { source, parts };
+    }
+
+    function parseBraced(source) {
+        const parts = [];
+        let i = 0;
+
+        while (i < source.length) {
+            const ch = source[i];
+
+            if (ch === '{') {
+                const end = source.indexOf('}', i);
+                if (end === -1) throw new Error(`Unclosed "{" in "${source}"`);
+                const inner = source.slice(i + 1, end).trim();
+                if (inner.includes('{')) throw new Error(`Nested "{" in "${source}"`);
+                parts.push(parseSlot(inner, source));
+                i = end + 1;
+            } else if (ch === '}') {
+                throw new Error(`Unexpected "}" in "${source}"`);
+            } else {
+                const next = source.slice(i).search(/[{}]/);
+                const text = next === -1 ? source.slice(i) : source.slice(i, i + next);
+                parts.push(parseLiteral(text, source));
+                i += text.length;
+            }
+        }
+
+        return parts;
+    }
+
+    // "prefix+A+B" style: every "+"-separated token is a slot name or literal
+    function parseLegacy(source) {
+        return source.split('+').map(token => {
+            const t = token.trim();
+            if (!t) throw new Error(`Empty part in "${source}"`);
+            const optional = t.endsWith('?');
+            const name = SLOT_ALIASES[(optional ? t.slice(0, -1) : t).toLowerCase()];
+            return name ? { type: 'slot', name, optional } : parseLiteral(t, source);
+        });
+    }
+
+    function parseSlot(inner, source) {
+        const optional = inner.endsWith('?');
+        const key = (optional ? inner.slice(0, -1) : inner).trim().toLowerCase();
+        const name = SLOT_ALIASES[key];
+        if (!name) {
+            throw new Error(`Unknown slot "{${inner}}" in "${source}" - use {A}, {B}, {C}, {prefix} or {suffix}`);
+        }
+        return { type: 'slot', name, optional };
+    }
+
+    function parseLiteral(text, source) {
+        const value = text.toLowerCase();
+        if (!/^[a-z0-9-]+$/.test(value)) {
+            throw new Error(`Invalid literal "${text}" in "${source}" - only letters, digits and hyphens are allowed`);
+        }
+        return { type: 'literal', value };
+    }
+
+    /**
+     * Check a template without throwing.
+     * @returns {{ valid: boolean, error: string|null, normalized: string|null }}
+     */
+    function validateTemplate(template) {
+        try {
+            const parsed = parseTemplate(template);
+            return { valid: true, error: null, normalized: formatTemplate(parsed) };
+        } catch (error) {
+            return { valid: false, error: error.message, normalized: null };
+        }
+    }
+
+    // Canonical braced form, e.g. "A+suffix" -> "{A}{suffix}"
+    function formatTemplate(parsed) {
+        return parsed.parts
+            .map(p => p.type === 'slot' ? `{${p.name}${p.optional ? '?' : ''}}` : p.value)
+            .join('');
+    }
+
+    // Each step is a list of [text, sourceLabel|null] choices
+    function buildSteps(parsed, pools) {
+        return parsed.parts.map(part => {
+            if (part.type === 'literal') return [[part.value, null]];
+            const words = ((pools && pools[part.name]) || []).filter(w => w);
+            const choices = words.map(w => [w, `${SOURCE_LABELS[part.name]}:${w}`]);
+            if (part.optional) choices.unshift(['', null]);
+            return choices;
+        });
+    }
+
+    /**
+     * Expand a template one combo at a time, in the same order and up to the
+     * same cap as expandTemplate(), so large expansions can be streamed.
+     * @param {string|object} template - Template string or parseTemplate() result
+     * @param {{A?: string[], B?: string[], C?: string[], prefix?: string[], suffix?: string[]}} pools
+     * @param {{maxResults?: number}} [options]
+     * @yields {{domain: string, template: string, sources: string, parts: string[]}}
+     */
+    function* iterateTemplate(template, pools, options) {
+        const parsed = typeof template === 'string' ? parseTemplate(template) : template;
+        const maxResults = (options && options.maxResults) || DEFAULT_MAX_RESULTS;
+        const steps = buildSteps(parsed, pools);
+        if (steps.some(s => s.length === 0)) return;
+
+        // Odometer over the steps, last step turning fastest
+        const index = steps.map(() => 0);
+        let emitted = 0;
+        while (emitted < maxResults) {
+            const parts = [];
+            const sources = [];
+            steps.forEach((step, i) => {
+                const [value, label] = step[index[i]];
+                if (value) parts.push(value);
+                if (label) sources.push(label);
+            });
+            const text = parts.join('');
+            if (text) {
+                emitted++;
+                yield { domain: text, template: parsed.source, sources: sources.join(', '), parts };
+            }
+
+            let i = steps.length - 1;
+            while (i >= 0 && ++index[i] === steps[i].length) {
+                index[i] = 0;
+                i--;
+            }
+            if (i < 0) return;
+        }
+    }
+
+    /**
+     * How many combos a template expands to, for progress reporting.
+     * @returns {number} what iterateTemplate() will yield
+     */
+    function countTemplate(template, pools, options) {
+        const parsed = typeof template === 'string' ? parseTemplate(template) : template;
+        const maxResults = (options && options.maxResults) || DEFAULT_MAX_RESULTS;
+        const steps = buildSteps(parsed, pools);
+        if (steps.some(s => s.length === 0)) return 0;
+        const total = steps.reduce((n, step) => n * step.length, 1);
+        // The all-empty combo (every slot optional and skipped) is not emitted
+        const allEmpty = steps.every(step => step[0][0] === '') ? 1 : 0;
+        return Math.min(total - allEmpty, maxResults);
+    }
+
+    /**
+     * Expand a template over the word pools.
+     * @param {string|object} template - Template string or parseTemplate() result
+     * @param {{A?: string[], B?: string[], C?: string[], prefix?: string[], suffix?: string[]}} pools
+     * @param {{maxResults?: number}} [options]
+     * @returns {Array<{domain: string, template: string, sources: string, parts: string[]}>}
+     *   parts are the non-empty pieces in order, for shared/strategies.js
+     */
+    function expandTemplate(template, pools, options) {
+        return [...iterateTemplate(template, pools, options)];
+    }
+
+    return {
+        SLOTS,
+        parseTemplate,
+        validateTemplate,
+        formatTemplate,
+        expandTemplate,
+        iterateTemplate,
+        countTemplate
+    };
+});
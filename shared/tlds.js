@@ -0,0 +1,230 @@
+/**
+ * TLD Catalog
+ *
+ * Registration rules, typical prices and category tags for the TLDs we
+ * generate under, plus domain hacks ("secu.re", "dispat.ch") and matching of
+ * scored names back to what was asked for. Shared by SuperCombinator.html
+ * (window.TldCatalog), the agent pipeline and score.js, so a TLD means the
+ * same thing in the browser and on the server.
+ *
+ * Prices are typical yearly registration in USD; registrars and promos vary.
+ * Length rules are for the label left of the TLD. Notes flag registries that
+ * restrict who may register.
+ */
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.TldCatalog = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+
+    // tld min max price tags [| note]
+    const CATALOG = `
+        com 1 63 11 generic popular
+        net 1 63 13 generic popular
+        org 1 63 10 generic nonprofit
+        io 3 63 45 tech popular country hack
+        ai 3 63 80 tech popular country hack
+        co 2 63 25 generic popular country hack
+        app 1 63 15 tech popular | HTTPS required
+        dev 1 63 15 tech | HTTPS required
+        xyz 1 63 12 generic
+        tech 1 63 45 tech
+        cloud 1 63 20 tech
+        so 3 63 30 tech country hack
+        sh 1 63 45 tech country hack
+        to 1 63 45 country hack
+        me 3 63 20 personal country hack
+        ly 3 63 70 country hack
+        it 3 63 15 country hack | EU residents only
+        re 3 63 25 country hack | EU residents only
+        ch 1 63 15 country hack
+        es 3 63 12 country hack
+        is 1 63 45 country hack
+        at 1 63 15 country hack
+        in 3 63 12 country hack
+        us 1 63 10 country hack | US presence required
+        st 1 63 30 country hack
+        am 1 63 30 media country hack
+        fm 1 63 90 media country hack
+        tv 1 63 35 media country hack
+        gg 2 63 70 gaming country hack
+        la 1 63 40 country hack
+        li 1 63 15 country hack
+        ms 1 63 40 country hack
+        nu 2 63 25 country hack
+        se 1 63 25 country hack
+        de 1 63 10 country hack | German contact required
+        ing 1 63 40 generic hack
+        ink 1 63 25 creative hack
+        money 1 63 30 finance
+        finance 1 63 50 finance
+        fund 1 63 45 finance
+        capital 1 63 50 finance
+        cash 1 63 35 finance
+        bank 3 63 1000 finance | Verified banks only
+        shop 1 63 35 commerce
+        store 1 63 50 commerce
+        health 1 63 75 health
+        studio 1 63 25 creative
+        design 1 63 45 creative
+        agency 1 63 20 business
+        co.uk 1 61 9 country
+    `.split('\n').map(l => l.trim()).filter(l => l).map(line => {
+        const [rule, note] = line.split('|').map(s => s.trim());
+        const [tld, min, max, price, ...tags] = rule.split(/\s+/);
+        return { tld, minLength: +min, maxLength: +max, price: +price, tags, note: note || '' };
+    });
+
+    const BY_TLD = new Map(CATALOG.map(t => [t.tld, t]));
+    const TAGS = [...new Set(CATALOG.flatMap(t => t.tags))];
+    const DEFAULT_TLDS = ['com'];
+    const MIN_HACK_NAME_LENGTH = 2;
+
+    function normalizeTld(tld) {
+        return String(tld || '').toLowerCase().trim().replace(/^\.+/, '');
+    }
+
+    // Lowercase, without scheme, "www." or a trailing dot
+    function normalizeDomain(value) {
+        return String(value || '').toLowerCase().trim()
+            .replace(/^[a-z]+:\/\//, '')
+            .replace(/\/.*$/, '')
+            .replace(/^www\./, '')
+            .replace(/\.$/, '');
+    }
+
+    function getTld(tld) {
+        return BY_TLD.get(normalizeTld(tld)) || null;
+    }
+
+    /**
+     * Split a domain into name and TLD. Catalog TLDs of more than one label
+     * ("co.uk") are recognised; otherwise the TLD is the last label.
+     * @returns {{ name: string, tld: string }} tld is '' for a bare name
+     */
+    function splitDomain(domain) {
+        const d = normalizeDomain(domain);
+        const labels = d.split('.');
+        if (labels.length === 1) return { name: d, tld: '' };
+        for (let i = 1; i < labels.length; i++) {
+            const tld = labels.slice(i).join('.');
+            if (BY_TLD.has(tld)) return { name: labels.slice(0, i).join('.'), tld };
+        }
+        return { name: labels.slice(0, -1).join('.'), tld: labels[labels.length - 1] };
+    }
+
+    /**
+     * Check a name against a TLD's rules: letters, digits and inner hyphens,
+     * no "--" in positions 3-4 (reserved for IDNs), and the TLD's length range.
+     * Unknown TLDs get the generic 1-63.
+     * @returns {string|null} why the name can't be registered, or null when it can
+     */
+    function checkName(name, tld) {
+        const n = String(name || '').toLowerCase();
+        const rule = getTld(tld);
+        const min = rule ? rule.minLength : 1;
+        const max = rule ? rule.maxLength : 63;
+        if (!/^[a-z0-9-]+$/.test(n)) return 'Only letters, digits and hyphens';
+        if (n.startsWith('-') || n.endsWith('-')) return 'Starts or ends with a hyphen';
+        if (n.slice(2, 4) === '--') return 'Hyphens in positions 3 and 4';
+        if (n.length < min) return `.${rule.tld} names need at least ${min} characters`;
+        if (n.length > max) return `Longer than ${max} characters`;
+        return null;
+    }
+
+    /**
+     * Put each candidate under each TLD its rules allow, and optionally its
+     * domain hacks (sources get " (hack)").
+     * @param {Array<{domain: string, sources?: string}>} candidates - Bare names
+     * @param {string[]} tlds
+     * @param {{hacks?: boolean}} [options]
+     * @returns {Array} copies of the candidates with domain "name.tld", by
+     *   candidate then TLD, hacks last; each domain once
+     */
+    function attachTlds(candidates, tlds, options) {
+        const list = [...new Set((tlds || []).map(normalizeTld).filter(t => t))];
+        const hacks = !!(options && options.hacks);
+        const seen = new Set();
+        const results = [];
+        const add = c => {
+            if (seen.has(c.domain)) return;
+            seen.add(c.domain);
+            results.push(c);
+        };
+
+        for (const c of candidates || []) {
+            for (const tld of list) {
+                if (!checkName(c.domain, tld)) add({ ...c, domain: `${c.domain}.${tld}` });
+            }
+            if (hacks) {
+                for (const h of findHacks(c.domain)) add({ ...c, domain: h.domain, sources: `${c.sources || ''} (hack)`.trim() });
+            }
+        }
+        return results;
+    }
+
+    /**
+     * Domain hacks for a word: the TLD finishes the word ("secure" -> secu.re).
+     * @param {string} word
+     * @param {object} [options]
+     * @param {string[]} [options.tlds] - TLDs to try (default every catalog TLD tagged "hack")
+     * @returns {Array<{domain: string, name: string, tld: string}>} longest TLD first
+     */
+    function findHacks(word, options) {
+        const w = String(word || '').toLowerCase().replace(/[^a-z0-9-]/g, '');
+        const tlds = options && options.tlds
+            ? options.tlds.map(normalizeTld)
+            : CATALOG.filter(t => t.tags.includes('hack')).map(t => t.tld);
+        return tlds
+            .filter(tld => !tld.includes('.') && w.endsWith(tld) && w.length - tld.length >= MIN_HACK_NAME_LENGTH)
+            .map(tld => ({ name: w.slice(0, -tld.length), tld }))
+            .filter(h => !checkName(h.name, h.tld))
+            .sort((a, b) => b.tld.length - a.tld.length)
+            .map(h => ({ domain: `${h.name}.${h.tld}`, name: h.name, tld: h.tld }));
+    }
+
+    /**
+     * Map domains in a scorer's reply back to the ones we asked about. Models
+     * add ".com" to bare names, drop the TLD or join a hack into one word, so
+     * a reply is tried as written, then without dots, then by name alone
+     * (when only one requested domain has that name).
+     * @param {string[]} requested
+     * @returns {function(string): (string|null)} the requested domain, as given
+     */
+    function createReplyMatcher(requested) {
+        const exact = new Map();
+        const joined = new Map();
+        const byName = new Map();
+        for (const domain of requested || []) {
+            const d = normalizeDomain(domain);
+            if (!exact.has(d)) exact.set(d, domain);
+            const flat = d.replace(/\./g, '');
+            if (!joined.has(flat)) joined.set(flat, domain);
+            const { name } = splitDomain(d);
+            byName.set(name, byName.has(name) && byName.get(name) !== domain ? null : domain);
+        }
+
+        return function match(reply) {
+            const d = normalizeDomain(reply);
+            if (exact.has(d)) return exact.get(d);
+            const flat = d.replace(/\./g, '');
+            if (joined.has(flat)) return joined.get(flat);
+            return byName.get(splitDomain(d).name) || null;
+        };
+    }
+
+    return {
+        CATALOG,
+        TAGS,
+        DEFAULT_TLDS,
+        getTld,
+        splitDomain,
+        checkName,
+        attachTlds,
+        findHacks,
+        createReplyMatcher
+    };
+});
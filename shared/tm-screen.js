@@ -0,0 +1,225 @@
+/**
+ * Trademark Screening
+ *
+ * Flags names that contain or resemble marks from a user-supplied list (a
+ * USPTO extract, a CSV of our own). Used by SuperCombinator.html
+ * (window.TMScreen) for the "TM risk" badge and by the agent to drop flagged
+ * candidates before scoring. Load shared/segmenter.js and shared/sales-csv.js
+ * first.
+ *
+ * Match types, strongest first:
+ *   exact      name is the mark ("stripe")
+ *   contained  the mark is a word inside the name ("stripepay", "googlepayz",
+ *              not "purchase" for chase), marks of 4+ letters
+ *   fuzzy      one edit away from the name or one of its words ("gooogle"), marks of 5+ letters
+ *   phonetic   sounds like the mark ("kwikbooks" ~ "quickbooks"), marks of 4+ letters
+ *
+ * This is a first pass to catch obvious conflicts, not legal clearance.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./segmenter'), require('./sales-csv'));
+    } else {
+        root.TMScreen = factory(root.WordSegmenter, root.SalesCSV);
+    }
+})(typeof self !== 'undefined' ? self : this, function (WordSegmenter, SalesCSV) {
+
+    const MIN_MARK_LENGTH = 3;
+    const MIN_CONTAINED_LENGTH = 4;
+    const MIN_FUZZY_LENGTH = 5;
+    const MIN_PHONETIC_LENGTH = 4;
+    // Letters around a contained mark that don't need to be a word ("stripex")
+    const MAX_STRAY_LETTERS = 2;
+    const MATCH_TYPES = ['exact', 'contained', 'fuzzy', 'phonetic'];
+
+    // Lowercased header names (letters only) of the mark and owner columns
+    const MARK_HEADERS = ['mark', 'wordmark', 'trademark', 'markidentification', 'marktext', 'brand', 'name'];
+    const OWNER_HEADERS = ['owner', 'ownername', 'registrant', 'applicant', 'company'];
+
+    function normalizeMark(value) {
+        return String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+    }
+
+    /**
+     * Read a mark list: one mark per line, or a CSV with a mark column
+     * (mark, word mark, trademark, brand, name) and an optional owner column.
+     * @returns {{ marks: Array<{mark: string, owner: string}>, skipped: number }}
+     *   skipped counts blank, too-short and repeated marks
+     */
+    function parseMarkList(text) {
+        const rows = SalesCSV.parseCSV(text);
+        const header = (rows[0] || []).map(h => String(h).toLowerCase().replace(/[^a-z]/g, ''));
+        let markCol = header.findIndex(h => MARK_HEADERS.includes(h));
+        const ownerCol = header.findIndex(h => OWNER_HEADERS.includes(h));
+        const start = markCol >= 0 ? 1 : 0;
+        if (markCol < 0) markCol = 0;
+
+        const seen = new Set();
+        const marks = [];
+        let skipped = 0;
+        for (const row of rows.slice(start)) {
+            const mark = normalizeMark(row[markCol]);
+            if (mark.length < MIN_MARK_LENGTH || seen.has(mark)) {
+                skipped++;
+                continue;
+            }
+            seen.add(mark);
+            marks.push({ mark, owner: ownerCol >= 0 ? String(row[ownerCol] || '').trim() : '' });
+        }
+        return { marks, skipped };
+    }
+
+    /**
+     * Rough sound-alike key: spellings that sound the same map together, vowels
+     * after the first letter and doubled letters drop out.
+     */
+    function phoneticKey(word) {
+        const w = String(word || '').toLowerCase().replace(/[^a-z]/g, '')
+            .replace(/ph/g, 'f')
+            .replace(/ck/g, 'k')
+            .replace(/c(?=[eiy])/g, 's')
+            .replace(/[cq]/g, 'k')
+            .replace(/x/g, 'ks')
+            .replace(/z/g, 's')
+            .replace(/^kn/, 'n')
+            .replace(/^wr/, 'r')
+            .replace(/gh/g, 'g');
+        if (!w) return '';
+        const first = /[aeiouy]/.test(w[0]) ? 'a' : w[0];
+        return (first + w.slice(1).replace(/[aeiouyhw]/g, '')).replace(/(.)\1+/g, '$1');
+    }
+
+    function deletions(word) {
+        const out = [];
+        for (let i = 0; i < word.length; i++) {
+            out.push(word.slice(0, i) + word.slice(i + 1));
+        }
+        return out;
+    }
+
+    // True when a and b differ by one insertion, deletion, substitution or swap of neighbours
+    function withinOneEdit(a, b) {
+        if (a === b) return true;
+        if (Math.abs(a.length - b.length) > 1) return false;
+
+        let i = 0;
+        while (i < a.length && i < b.length && a[i] === b[i]) i++;
+        if (a.length === b.length) {
+            if (a.slice(i + 1) === b.slice(i + 1)) return true;
+            return a[i] === b[i + 1] && a[i + 1] === b[i] && a.slice(i + 2) === b.slice(i + 2);
+        }
+        return a.length > b.length ? a.slice(i + 1) === b.slice(i) : a.slice(i) === b.slice(i + 1);
+    }
+
+    /**
+     * Build a screener over a mark list.
+     * @param {Array<string|{mark: string, owner?: string}>} marks
+     * @returns {{ size: number, screen: function(string): ({mark, owner, type}|null) }}
+     */
+    function createScreener(marks) {
+        const owners = new Map();
+        const byPhonetic = new Map();
+        const byDeletion = new Map();
+        let maxLength = 0;
+
+        for (const entry of marks || []) {
+            const mark = normalizeMark(typeof entry === 'string' ? entry : entry && entry.mark);
+            if (mark.length < MIN_MARK_LENGTH || owners.has(mark)) continue;
+            owners.set(mark, (entry && entry.owner) || '');
+            maxLength = Math.max(maxLength, mark.length);
+
+            if (mark.length >= MIN_FUZZY_LENGTH) {
+                for (const d of deletions(mark)) {
+                    if (!byDeletion.has(d)) byDeletion.set(d, []);
+                    byDeletion.get(d).push(mark);
+                }
+            }
+            if (mark.length >= MIN_PHONETIC_LENGTH && /^[a-z]+$/.test(mark)) {
+                const key = phoneticKey(mark);
+                if (key.length >= 3 && !byPhonetic.has(key)) byPhonetic.set(key, mark);
+            }
+        }
+
+        const segmenter = WordSegmenter.createSegmenter([...owners.keys()].filter(m => /^[a-z]+$/.test(m)));
+
+        const result = (mark, type) => ({ mark, owner: owners.get(mark), type });
+
+        // True when text is empty or reads as known words (digits count)
+        function isWords(text) {
+            if (!text) return true;
+            const { tokens, known } = segmenter.analyze(text);
+            return tokens.every((t, i) => known[i] || /^\d+$/.test(t));
+        }
+
+        // True when the letters beside a mark read as words, or at least start
+        // (after the mark) or end (before it) with a word of 3+ letters: "payz"
+        // after google starts with pay, "ble" after visa starts with nothing
+        function bordersWord(text, after) {
+            if (isWords(text)) return true;
+            for (let len = text.length - 1; len >= 3; len--) {
+                if (segmenter.isWord(after ? text.slice(0, len) : text.slice(-len))) return true;
+            }
+            return false;
+        }
+
+        // Longest mark that sits on word boundaries inside the name: the
+        // letters either side must border words, or be one or two stray
+        // letters, so "stripepay" and "googlepayz" have their marks but
+        // "purchase" doesn't have chase and "advisable" doesn't have visa
+        function findContained(name) {
+            for (let len = Math.min(maxLength, name.length - 1); len >= MIN_CONTAINED_LENGTH; len--) {
+                for (let i = 0; i + len <= name.length; i++) {
+                    const piece = name.slice(i, i + len);
+                    if (!owners.has(piece)) continue;
+                    const before = name.slice(0, i);
+                    const after = name.slice(i + len);
+                    if (bordersWord(before, false) && bordersWord(after, true)) return piece;
+                    if (before.length + after.length <= MAX_STRAY_LETTERS && !segmenter.isWord(name)) return piece;
+                }
+            }
+            return null;
+        }
+
+        function findFuzzy(word) {
+            if (word.length < MIN_FUZZY_LENGTH - 1) return null;
+            // word is a mark with a letter missing, a letter extra, or one changed
+            const candidates = [...(byDeletion.get(word) || [])];
+            for (const d of deletions(word)) {
+                if (owners.has(d) && d.length >= MIN_FUZZY_LENGTH) candidates.push(d);
+                candidates.push(...(byDeletion.get(d) || []));
+            }
+            return candidates.find(m => m !== word && withinOneEdit(word, m)) || null;
+        }
+
+        function screen(domain) {
+            const name = normalizeMark(String(domain || '').split('.')[0]);
+            if (!name || owners.size === 0) return null;
+
+            if (owners.has(name)) return result(name, 'exact');
+
+            const contained = findContained(name);
+            if (contained) return result(contained, 'contained');
+
+            const words = [name, ...segmenter.segment(name)];
+            for (const word of words) {
+                const fuzzy = findFuzzy(word);
+                if (fuzzy) return result(fuzzy, 'fuzzy');
+            }
+            for (const word of words) {
+                if (word.length < MIN_PHONETIC_LENGTH) continue;
+                const mark = byPhonetic.get(phoneticKey(word));
+                if (mark) return result(mark, 'phonetic');
+            }
+            return null;
+        }
+
+        return { size: owners.size, screen };
+    }
+
+    return {
+        MATCH_TYPES,
+        parseMarkList,
+        phoneticKey,
+        createScreener
+    };
+});
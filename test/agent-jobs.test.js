@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Jobs go to a file store private to this test run
+process.env.STORE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'agent-jobs-test-'));
+
+const { openJobStore, isStale, toJobStatus } = require('../netlify/lib/agent-jobs');
+const agent = require('../netlify/functions/agent');
+const worker = require('../netlify/functions/agent-background');
+
+const MINUTE = 60 * 1000;
+
+function jobAt(status, updatedAt) {
+    return { id: 'x', status, results: [], errors: [], error: null, updatedAt: new Date(updatedAt).toISOString() };
+}
+
+test('a queued job with no progress goes stale', () => {
+    const now = Date.now();
+    assert.strictEqual(isStale(jobAt('queued', now - 10 * 1000), now), false);
+    assert.strictEqual(isStale(jobAt('queued', now - 5 * MINUTE), now), true);
+    // Running and finished jobs are never stale
+    assert.strictEqual(isStale(jobAt('running', now - 5 * MINUTE), now), false);
+    assert.strictEqual(isStale(jobAt('done', now - 5 * MINUTE), now), false);
+});
+
+test('toJobStatus reports a stale queued job as failed', () => {
+    const now = Date.now();
+    const status = toJobStatus(jobAt('queued', now - 5 * MINUTE), now);
+    assert.strictEqual(status.status, 'failed');
+    assert.match(status.error, /never picked up/);
+});
+
+test('polling a stale job records it as failed', async () => {
+    const jobs = openJobStore();
+    const job = await jobs.create({ engine: 'llm', batchSize: 10 }, [{ domain: 'paysnap.com' }]);
+    job.updatedAt = new Date(Date.now() - 5 * MINUTE).toISOString();
+    // save() stamps updatedAt, so backdate through a second store handle
+    const raw = require('../netlify/lib/store').createStore('agent-jobs');
+    await raw.set(`job:${job.id}`, job);
+
+    const res = await agent.handler({ httpMethod: 'GET', queryStringParameters: { jobId: job.id }, headers: {} });
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(JSON.parse(res.body).status, 'failed');
+    assert.strictEqual((await jobs.get(job.id)).status, 'failed');
+    assert.deepStrictEqual(await jobs.getCandidates(job.id), []);
+});
+
+test('the worker fails loudly when the job is missing from the store', async (t) => {
+    const logged = [];
+    t.mock.method(console, 'error', (...args) => logged.push(args.join(' ')));
+    const res = await worker.handler({ body: JSON.stringify({ jobId: '00000000-0000-0000-0000-000000000000' }) });
+    assert.strictEqual(res.statusCode, 500);
+    assert.match(JSON.parse(res.body).error, /not in the job store/);
+    assert.ok(logged.some(line => line.includes('not in the job store')));
+});
+
+test('generation stops as soon as a job is over the candidate limit', async () => {
+    // A million combos; only the first ten thousand or so are ever built
+    const words = [...Array(1000)].map((_, i) => i.toString(26).replace(/./g, ch => String.fromCharCode(97 + parseInt(ch, 26))));
+    const res = await agent.handler({
+        httpMethod: 'POST',
+        headers: {},
+        body: JSON.stringify({ task: 'generate_and_score', fast: true, packs: { A: words, B: words }, templates: ['A+B'] })
+    });
+    assert.strictEqual(res.statusCode, 400);
+    assert.match(JSON.parse(res.body).error, /^Too many candidates \(over 10000\)/);
+});
+
+test('fast mode ignores a model outside the whitelist', async () => {
+    const res = await agent.handler({
+        httpMethod: 'POST',
+        headers: {},
+        body: JSON.stringify({ task: 'generate_and_score', fast: true, model: 'gpt-4-turbo', packs: { A: ['pay', 'trust'], B: ['lab', 'snap'] } })
+    });
+    const body = JSON.parse(res.body);
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(body.engine, 'heuristic');
+    assert.ok(body.results.length > 0);
+});
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+// Keyless RDAP mode against a local stand-in; short retry delays
+process.env.DOMAIN_PROVIDER = 'rdap';
+process.env.CHECK_RETRY_DELAY_MS = '10';
+
+const { handler } = require('../netlify/functions/check-domain');
+
+/**
+ * Local RDAP stand-in. respond(domain, attempt) returns an HTTP status;
+ * attempt counts the lookups of that domain from 0.
+ */
+async function serveRdap(t, respond) {
+    const attempts = {};
+    const server = http.createServer((req, res) => {
+        const domain = decodeURIComponent(req.url.split('/').pop());
+        const attempt = attempts[domain] || 0;
+        attempts[domain] = attempt + 1;
+        const status = respond(domain, attempt);
+        // Answer a little later so the batch's workers overlap
+        setTimeout(() => {
+            res.writeHead(status, { 'Content-Type': 'application/rdap+json' });
+            res.end(status === 200 ? JSON.stringify({ objectClassName: 'domain', ldhName: domain }) : '');
+        }, 5);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    process.env.RDAP_BASE_URL = `http://127.0.0.1:${server.address().port}/rdap`;
+    t.after(() => new Promise(resolve => server.close(resolve)));
+    return attempts;
+}
+
+function post(body) {
+    return handler({ httpMethod: 'POST', body: JSON.stringify(body) });
+}
+
+test('a 429 halves the batch concurrency and the domain is retried', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const attempts = await serveRdap(t, (domain, attempt) => {
+        if (domain === 'a0.com' && attempt === 0) return 429;
+        return domain.startsWith('taken') ? 200 : 404;
+    });
+    const domains = ['a0.com', 'a1.com', 'a2.com', 'taken3.com', 'a4.com', 'a5.com', 'a6.com', 'a7.com'];
+
+    const response = await post({ domains, concurrency: 8, force: true });
+    const body = JSON.parse(response.body);
+
+    assert.strictEqual(response.statusCode, 200);
+    assert.strictEqual(body.concurrency, 4);
+    assert.strictEqual(attempts['a0.com'], 2);
+    assert.deepStrictEqual(body.results.map(r => r.status), ['available', 'available', 'available', 'taken', 'available', 'available', 'available', 'available']);
+    assert.deepStrictEqual(body.summary, { total: 8, available: 7, taken: 1, premium: 0, error: 0 });
+});
+
+test('each 429 halves again, down to one worker', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    await serveRdap(t, (domain, attempt) => attempt < 2 && domain !== 'b3.com' ? 429 : 404);
+
+    const response = await post({ domains: ['b0.com', 'b1.com', 'b2.com', 'b3.com'], concurrency: 4, force: true });
+    const body = JSON.parse(response.body);
+
+    assert.strictEqual(body.concurrency, 1);
+    assert.strictEqual(body.summary.available, 4);
+});
+
+test('a domain still rate limited after the retries is an error', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const attempts = await serveRdap(t, domain => domain === 'busy.com' ? 429 : 404);
+
+    const response = await post({ domains: ['busy.com', 'free.com'], concurrency: 2, force: true });
+    const body = JSON.parse(response.body);
+
+    assert.strictEqual(attempts['busy.com'], 4);
+    assert.deepStrictEqual(body.results.map(r => [r.domain, r.status]), [['busy.com', 'error'], ['free.com', 'available']]);
+    assert.strictEqual(body.results[0].error, 'Rate limited by provider');
+});
+
+test('a single check passes a 429 back to the client', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    await serveRdap(t, () => 429);
+
+    const response = await post({ domain: 'busy.com', force: true });
+
+    assert.strictEqual(response.statusCode, 429);
+    assert.strictEqual(JSON.parse(response.body).error, 'Rate limited by provider');
+});
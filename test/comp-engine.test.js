@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { parseDomain, calculateSimilarity, extractKeywords, getStructureType, findComps, summarizeComps, valueDomains } = require('../shared/comp-engine');
+
+function sale(domain, price, year) {
+    return { ...parseDomain(domain), price, year: year || null };
+}
+
+function similarity(target, comp) {
+    return calculateSimilarity(parseDomain(target), comp).breakdown;
+}
+
+test('keywords and structure come from whole words', () => {
+    assert.deepStrictEqual(extractKeywords('paymentcash').sort(), ['cash', 'payment']);
+    assert.deepStrictEqual(extractKeywords('trustee'), []);
+    assert.strictEqual(getStructureType('pay2win'), 'numeric');
+    assert.strictEqual(getStructureType('pay-cash'), 'hyphenated');
+    assert.strictEqual(getStructureType('nova'), 'single_premium');
+    assert.strictEqual(getStructureType('paymentcash'), 'compound_2word');
+    assert.strictEqual(getStructureType('paycashloan'), 'compound_3plus');
+});
+
+test('a comp with the same words, TLD, length and a recent year scores 100', () => {
+    assert.deepStrictEqual(similarity('paymentcash.com', sale('cashpayment.com', 5000, 2024)),
+        { token: 30, structure: 20, tld: 15, length: 10, timing: 15, industry: 10, total: 100 });
+});
+
+test('each similarity factor steps down with the difference', () => {
+    const partial = similarity('paymentcash.com', sale('cryptocash.net', 5000, 2021));
+    // One of three keywords shared, .net next to .com, one letter shorter, 2020-2022
+    assert.strictEqual(partial.token, 20);
+    assert.strictEqual(partial.tld, 10);
+    assert.strictEqual(partial.length, 9);
+    assert.strictEqual(partial.timing, 10);
+    assert.strictEqual(partial.industry, 10);
+
+    const unrelated = similarity('paymentcash.com', sale('bitcoin.io', 5000, 2015));
+    // Keywords on both sides but none shared, from another industry
+    assert.strictEqual(unrelated.token, 5);
+    assert.strictEqual(unrelated.industry, 3);
+    assert.strictEqual(unrelated.structure, 5);
+    assert.strictEqual(unrelated.tld, 3);
+    assert.strictEqual(unrelated.timing, 5);
+
+    const noKeywords = similarity('zqxv.com', sale('bitcoin.com', 5000));
+    assert.strictEqual(noKeywords.token, 0);
+    assert.strictEqual(noKeywords.industry, 0);
+    // Both single words
+    assert.strictEqual(similarity('nova.com', sale('zorblaxian.com', 5000)).structure, 15);
+});
+
+test('findComps filters, ranks and skips the domain itself', () => {
+    const sales = [
+        sale('paymentcash.com', 9000, 2024),
+        sale('cashpayment.com', 5000, 2024),
+        sale('cryptocash.net', 3000, 2021),
+        sale('cryptocash.com', 80000, 2024),
+        sale('trustee.io', 1000, 2015)
+    ];
+    const result = findComps('paymentcash.com', sales, { priceMax: 50000 });
+    assert.deepStrictEqual(result.comps.map(c => [c.domain, c.similarity]), [['cashpayment.com', 100], ['cryptocash.net', 79]]);
+    assert.deepStrictEqual(findComps('paymentcash.com', sales, { tld: 'net' }).comps.map(c => c.domain), ['cryptocash.net']);
+    assert.deepStrictEqual(findComps('paymentcash.com', sales, { category: 'wave', priceMax: 50000 }).comps.map(c => c.domain), ['cryptocash.net']);
+});
+
+test('anchors and comp evidence come from the comps found', () => {
+    const comps = [1000, 2000, 3000, 4000, 5000].map(price => ({ price, similarity: 80 }));
+    const summary = summarizeComps(comps);
+    assert.deepStrictEqual(summary.anchors, { floor: 3000, target: 4000, stretch: 5000, aggressive: 5000 });
+    assert.strictEqual(summary.compStrength, 'STRONG');
+    assert.strictEqual(summary.ceScore, 9);
+    assert.strictEqual(summarizeComps([{ price: 100, similarity: 40 }]).compStrength, 'VERY_WEAK');
+    assert.deepStrictEqual(summarizeComps([]), { statistics: null, anchors: null, compStrength: 'NONE', ceScore: 0 });
+});
+
+test('bulk valuation gives one row per unique domain with progress', () => {
+    const sales = [sale('cashpayment.com', 5000, 2024), sale('cryptocash.net', 3000, 2021)];
+    const progress = [];
+    const rows = valueDomains(['PaymentCash.com', 'paymentcash.com', 'zqxv.io', ''], sales, {}, (done, total) => progress.push([done, total]));
+
+    assert.deepStrictEqual(rows.map(r => [r.domain, r.comps, r.floor]), [['paymentcash.com', 2, 5000], ['zqxv.io', 0, null]]);
+    assert.strictEqual(rows[0].median, 5000);
+    assert.strictEqual(rows[1].compStrength, 'NONE');
+    assert.deepStrictEqual(progress, [[1, 2], [2, 2]]);
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { runJob, generate, countCombos } = require('../shared/gen-engine');
+
+const JOB = {
+    templates: ['{A}{B}'],
+    packs: { A: ['pay', 'nova', 'lend'], B: ['lab', 'box'] },
+    constraints: { tlds: ['com', 'io'] }
+};
+
+test('chunks stream in job order with combo progress', () => {
+    const chunks = [...runJob(JOB, { chunkSize: 2 })];
+    assert.deepStrictEqual(chunks.map(c => [c.done, c.total]), [[2, 6], [4, 6], [6, 6], [6, 6]]);
+    assert.deepStrictEqual(chunks.map(c => c.candidates.map(x => x.domain)), [
+        ['paylab.com', 'paylab.io', 'paybox.com', 'paybox.io'],
+        ['novalab.com', 'novalab.io', 'novabox.com', 'novabox.io'],
+        ['lendlab.com', 'lendlab.io', 'lendbox.com', 'lendbox.io'],
+        []
+    ]);
+    assert.strictEqual(countCombos(JOB), 6);
+    assert.deepStrictEqual(generate(JOB), chunks.flatMap(c => c.candidates));
+});
+
+test('stopping a run keeps what was delivered and builds nothing more', () => {
+    const chunks = runJob(JOB, { chunkSize: 2 });
+    const first = chunks.next().value;
+    // What a cancel does on the page and in agent.js
+    chunks.return();
+    assert.deepStrictEqual(first.candidates.map(c => c.domain), ['paylab.com', 'paylab.io', 'paybox.com', 'paybox.io']);
+    assert.strictEqual(chunks.next().done, true);
+});
+
+test('keyword jobs put the anchor on the chosen side', () => {
+    const results = generate({ anchor: 'pay', words: ['snap', '', 'lab'], position: 'prefix' });
+    assert.deepStrictEqual(results.map(c => [c.domain, c.sources]), [
+        ['paysnap', 'main:pay, bulk:snap'],
+        ['pay', 'main:pay'],
+        ['paylab', 'main:pay, bulk:lab']
+    ]);
+    assert.deepStrictEqual(generate({ anchor: 'pay', words: ['snap'], position: 'suffix' }).map(c => c.domain), ['snappay']);
+});
+
+test('filtered names are dropped and a repeated domain is kept once', () => {
+    const results = generate({
+        templates: ['{A}{B}', '{A}{B}'],
+        packs: { A: ['pay', 'pay-2'], B: ['lab'] },
+        constraints: { tlds: ['com'], banned: ['lab'] }
+    });
+    assert.deepStrictEqual(results, []);
+    assert.deepStrictEqual(generate({ templates: ['{A}{B}', '{A}{B}'], packs: { A: ['pay'], B: ['lab'] }, constraints: { tlds: ['com'] } }).map(c => c.domain), ['paylab.com']);
+});
@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { scoreDomain } = require('../shared/heuristic-score');
+
+test('a niche match outranks the same name with no niche', () => {
+    const niche = scoreDomain('cashlab.com', { mode: 'lenders' });
+    const generic = scoreDomain('cashlab.com', { mode: 'brandable' });
+
+    assert.ok(niche.breakdown.buyerIntent > generic.breakdown.buyerIntent);
+    assert.ok(niche.score > generic.score, `${niche.score} should beat ${generic.score}`);
+    assert.strictEqual(niche.use_case, 'Lending / fintech');
+});
+
+test('niche keywords match inflected words', () => {
+    const lending = scoreDomain('lendinghub.com', { mode: 'lenders' });
+    const funded = scoreDomain('fundedpro.com', { mode: 'lenders' });
+    const payments = scoreDomain('paymentsly.com', { mode: 'payments', keywords: ['payment'] });
+
+    assert.strictEqual(lending.breakdown.buyerIntent, 1.7);
+    assert.strictEqual(lending.use_case, 'Lending / fintech');
+    assert.strictEqual(funded.use_case, 'Lending / fintech');
+    assert.ok(payments.breakdown.buyerIntent >= 1.7);
+});
+
+test('a name outside the niche scores low buyer intent', () => {
+    assert.strictEqual(scoreDomain('gardenly.com', { mode: 'lenders' }).breakdown.buyerIntent, 0.6);
+});
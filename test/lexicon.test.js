@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const Lexicon = require('../shared/lexicon');
+
+test('inflected pack words are looked up by their base', () => {
+    for (const word of ['trusted', 'payments', 'lending', 'secured', 'guarded']) {
+        assert.ok(Lexicon.hasWord(word), word);
+        assert.ok(Lexicon.suggest([word]).length > 0, word);
+    }
+    assert.ok(Lexicon.suggest(['trusted']).some(s => s.word === 'faith' && s.from === 'trusted'));
+});
+
+test('the base of an inflected pack word is not suggested back', () => {
+    const words = Lexicon.suggest(['payments']).map(s => s.word);
+    assert.ok(!words.includes('payment'));
+    assert.ok(words.includes('transfer'));
+});
+
+test('unknown words give no suggestions', () => {
+    assert.strictEqual(Lexicon.hasWord('zorblax'), false);
+    assert.deepStrictEqual(Lexicon.suggest(['zorblax']), []);
+});
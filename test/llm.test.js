@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+const { getLlmConfig, resolveModel } = require('../netlify/lib/llm');
+const score = require('../netlify/functions/score');
+
+/**
+ * Local OpenAI-compatible stand-in. respond(body) returns { status, body };
+ * every parsed request body and its headers are kept.
+ */
+async function serveLlm(t, respond) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+            const body = JSON.parse(raw);
+            requests.push({ path: req.url, headers: req.headers, body });
+            const reply = respond(body);
+            res.writeHead(reply.status || 200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(reply.body));
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const saved = { LLM_BASE_URL: process.env.LLM_BASE_URL, LLM_ALLOWED_MODELS: process.env.LLM_ALLOWED_MODELS };
+    process.env.LLM_BASE_URL = `http://127.0.0.1:${server.address().port}/v1/`;
+    process.env.LLM_ALLOWED_MODELS = 'llama3.1:8b';
+    t.after(() => {
+        for (const [key, value] of Object.entries(saved)) {
+            if (value === undefined) delete process.env[key];
+            else process.env[key] = value;
+        }
+        return new Promise(resolve => server.close(resolve));
+    });
+    return requests;
+}
+
+function completion(content) {
+    return { body: { choices: [{ message: { role: 'assistant', content } }] } };
+}
+
+function post(body) {
+    return score.handler({ httpMethod: 'POST', body: JSON.stringify(body) });
+}
+
+test('getLlmConfig reads the backend from the environment', () => {
+    const defaults = getLlmConfig({});
+    assert.strictEqual(defaults.baseUrl, 'https://api.openai.com/v1');
+    assert.strictEqual(defaults.model, 'gpt-4o-mini');
+    assert.strictEqual(defaults.configured, false);
+
+    const local = getLlmConfig({
+        LLM_BASE_URL: 'http://localhost:8080/v1/',
+        LLM_MODEL: 'qwen2.5',
+        LLM_TEMPERATURE: '0',
+        LLM_MAX_TOKENS: '1500.4',
+        LLM_ALLOWED_MODELS: 'llama3.1:8b, qwen2.5 ,'
+    });
+    assert.strictEqual(local.baseUrl, 'http://localhost:8080/v1');
+    assert.strictEqual(local.temperature, 0);
+    assert.strictEqual(local.maxTokens, 1500);
+    assert.deepStrictEqual(local.allowedModels, ['qwen2.5', 'llama3.1:8b']);
+    // Local servers don't need a key
+    assert.strictEqual(local.configured, true);
+});
+
+test('resolveModel only allows whitelisted models', () => {
+    const config = getLlmConfig({ LLM_ALLOWED_MODELS: 'gpt-4o' });
+    assert.strictEqual(resolveModel('', config), 'gpt-4o-mini');
+    assert.strictEqual(resolveModel(' gpt-4o ', config), 'gpt-4o');
+    assert.throws(() => resolveModel('o1', config), { status: 400, message: 'Model "o1" is not allowed. Allowed: gpt-4o-mini, gpt-4o' });
+});
+
+test('score sends the request to the configured server with the picked model', async (t) => {
+    const requests = await serveLlm(t, () => completion(JSON.stringify([
+        { domain: 'TrustLab.com', score: 8.5, bucket: 'HOLD', reason: 'Short and clear', use_case: 'Fintech' }
+    ])));
+
+    const response = await post({ domains: ['trustlab.com'], preset: 'brandable', model: 'llama3.1:8b' });
+    const body = JSON.parse(response.body);
+
+    assert.strictEqual(response.statusCode, 200);
+    assert.strictEqual(body.engine, 'llm');
+    assert.strictEqual(body.model, 'llama3.1:8b');
+    assert.deepStrictEqual(body.scores.map(s => [s.domain, s.score, s.bucket]), [['trustlab.com', 8.5, 'HOLD']]);
+    assert.strictEqual(requests[0].path, '/v1/chat/completions');
+    assert.strictEqual(requests[0].body.model, 'llama3.1:8b');
+    assert.strictEqual(requests[0].body.temperature, 0.3);
+});
+
+test('score rejects a model outside the whitelist without calling the server', async (t) => {
+    const requests = await serveLlm(t, () => completion('[]'));
+
+    const response = await post({ domains: ['trustlab.com'], model: 'gpt-4-turbo' });
+
+    assert.strictEqual(response.statusCode, 400);
+    assert.match(JSON.parse(response.body).error, /not allowed/);
+    assert.strictEqual(requests.length, 0);
+});
+
+test('score reports errors from the server as 502', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    await serveLlm(t, () => ({ status: 404, body: { error: { message: 'model "llama3.1:8b" not found' } } }));
+
+    const response = await post({ domains: ['trustlab.com'] });
+    const body = JSON.parse(response.body);
+
+    assert.strictEqual(response.statusCode, 502);
+    assert.strictEqual(body.error, 'AI service error');
+    assert.match(body.details, /not found/);
+});
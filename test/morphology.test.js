@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { variantForms, expandWords, baseForm } = require('../shared/morphology');
+
+const ALL_VARIANTS = ['plural', 'past', 'ing', 'er', 'ly', 'ify', 'able'];
+
+test('suffixes a word class does not take are not produced', () => {
+    const forms = expandWords(['policy', 'data', 'go', 'verify', 'payment'], ALL_VARIANTS);
+    for (const junk of ['policify', 'policiable', 'policied', 'dataed', 'dataing', 'goly', 'goify', 'verifily', 'paymently']) {
+        assert.ok(!forms.includes(junk), junk);
+    }
+    assert.deepStrictEqual(variantForms('policy', 'plural'), ['policies']);
+    assert.deepStrictEqual(ALL_VARIANTS.flatMap(v => variantForms('data', v)), []);
+});
+
+test('verb and adjective forms need a known word class', () => {
+    const forms = expandWords(['tech', 'nova', 'happy', 'agent', 'app'], ALL_VARIANTS);
+    for (const junk of ['teches', 'novaed', 'novaing', 'novaer', 'novaable', 'happies', 'happied', 'happiable', 'agented', 'agenting', 'apply']) {
+        assert.ok(!forms.includes(junk), junk);
+    }
+    assert.deepStrictEqual(variantForms('tech', 'plural'), ['techs']);
+    assert.deepStrictEqual(variantForms('nova', 'plural'), ['novas']);
+    assert.deepStrictEqual(variantForms('agent', 'plural'), ['agents']);
+    assert.deepStrictEqual(variantForms('happy', 'ly'), ['happily']);
+    assert.deepStrictEqual(variantForms('simple', 'ly'), ['simply']);
+});
+
+test('regular and derived forms are still produced', () => {
+    assert.deepStrictEqual(variantForms('pay', 'past'), ['paid']);
+    assert.deepStrictEqual(variantForms('ship', 'ing'), ['shipping']);
+    assert.deepStrictEqual(variantForms('lend', 'er'), ['lender']);
+    assert.deepStrictEqual(variantForms('trust', 'ly'), ['trustly']);
+    assert.deepStrictEqual(variantForms('shop', 'ify'), ['shopify']);
+    assert.deepStrictEqual(variantForms('rely', 'able'), ['reliable']);
+    assert.deepStrictEqual(variantForms('verify', 'er'), ['verifier']);
+    assert.deepStrictEqual(variantForms('cash', 'past'), ['cashed']);
+    assert.deepStrictEqual(variantForms('go', 'ing'), ['going']);
+});
+
+test('inflected words give their base', () => {
+    assert.deepStrictEqual(variantForms('payments', 'plural'), ['payment']);
+    assert.deepStrictEqual(variantForms('verified', 'past'), ['verify']);
+    assert.strictEqual(baseForm('trusted'), 'trust');
+    assert.strictEqual(baseForm('lending'), 'lend');
+    assert.strictEqual(baseForm('trust'), null);
+});
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { soundsAlike, clusterNames } = require('../shared/phonetic');
+
+test('homophones and respellings sound alike', () => {
+    const pairs = [
+        ['lite', 'light'], ['fone', 'phone'], ['kwikpay', 'quickpay'], ['paysnap', 'paysnapp'],
+        ['trustlab', 'trustlabs'], ['lendly', 'lendlee'], ['trustlab.com', 'trustlab.io']
+    ];
+    for (const [a, b] of pairs) assert.ok(soundsAlike(a, b), `${a} ~ ${b}`);
+});
+
+test('one different consonant is a different name', () => {
+    const pairs = [
+        ['paygold', 'paybold'], ['paybold', 'paycold'], ['paygold', 'paycold'], ['cashflow', 'cashglow'], ['cashglow', 'cashslow'],
+        ['trustcore', 'trustmore'], ['trustmore', 'trustlore'], ['lendhub', 'lendpub'], ['lendpub', 'lendtub'],
+        ['cash', 'cast'], ['cast', 'case'], ['case', 'cane'], ['paybox', 'paybot']
+    ];
+    for (const [a, b] of pairs) assert.ok(!soundsAlike(a, b), `${a} !~ ${b}`);
+});
+
+test('clusters do not chain through their members', () => {
+    const groups = clusterNames(['cash', 'cast', 'case', 'cane', 'paygold', 'paybold', 'paycold']);
+    assert.ok(groups.every(g => g.members.length === 1), JSON.stringify(groups));
+});
+
+test('a cluster is built around its strongest name', () => {
+    const scores = { trustlabs: 9, trustlab: 5, trustlabe: 4, paysnap: 1 };
+    const groups = clusterNames(['trustlab', 'paysnap', 'trustlabs', 'trustlabe'], { scoreOf: n => scores[n] });
+    assert.deepStrictEqual(groups, [
+        { best: 'trustlabs', members: ['trustlab', 'trustlabs'] },
+        { best: 'paysnap', members: ['paysnap'] },
+        { best: 'trustlabe', members: ['trustlabe'] }
+    ]);
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { classifyPremium, getThresholds } = require('../netlify/lib/premium');
+
+function available(domain, price, premium = null) {
+    return { domain, available: true, price, premium };
+}
+
+// Runs fn with env overrides, restoring the previous values after
+function withEnv(vars, fn) {
+    const saved = {};
+    for (const [key, value] of Object.entries(vars)) {
+        saved[key] = process.env[key];
+        process.env[key] = value;
+    }
+    try {
+        return fn();
+    } finally {
+        for (const [key, value] of Object.entries(saved)) {
+            if (value === undefined) delete process.env[key];
+            else process.env[key] = value;
+        }
+    }
+}
+
+test('the provider flag wins over wording and price', () => {
+    assert.deepStrictEqual(classifyPremium(available('cash.com', 9.99, true), ''), {
+        premium: true,
+        premiumReason: 'Flagged premium by provider'
+    });
+    assert.deepStrictEqual(classifyPremium(available('cash.com', 5000, false), 'make an offer'), {
+        premium: false,
+        premiumReason: null
+    });
+});
+
+test('aftermarket wording marks a name premium', () => {
+    const cases = [
+        ['{"listing":"auction ends in 2 days"}', 'auction'],
+        ['This domain is for sale', 'for sale'],
+        ['{"status":"for_sale"}', 'for sale'],
+        ['Make an offer', 'make offer'],
+        ['listed on the aftermarket', 'aftermarket']
+    ];
+    for (const [text, label] of cases) {
+        assert.deepStrictEqual(classifyPremium(available('trustlab.com', 12), text), {
+            premium: true,
+            premiumReason: `Aftermarket listing: ${label}`
+        }, text);
+    }
+    assert.strictEqual(classifyPremium(available('trustlab.com', 12), '{"Available":"yes","Price":"11.49 in USD"}').premium, false);
+});
+
+test('prices above the TLD threshold are premium', () => {
+    assert.deepStrictEqual(classifyPremium(available('trustlab.com', 120.5)), {
+        premium: true,
+        premiumReason: 'Price 120.50 above .com threshold 100'
+    });
+    assert.strictEqual(classifyPremium(available('trustlab.com', 100)).premium, false);
+    // .io and .ai registrations cost more as standard
+    assert.strictEqual(classifyPremium(available('trustlab.io', 140)).premium, false);
+    assert.strictEqual(classifyPremium(available('trustlab.ai', 240)).premium, false);
+    assert.strictEqual(classifyPremium(available('trustlab.ai', 260)).premium, true);
+});
+
+test('taken names and names without a price are not premium', () => {
+    assert.strictEqual(classifyPremium({ domain: 'google.com', available: false, price: 5000, premium: null }).premium, false);
+    assert.strictEqual(classifyPremium(available('trustlab.com', null)).premium, false);
+});
+
+test('thresholds come from the environment', () => {
+    withEnv({ PREMIUM_PRICE_THRESHOLD: '50', PREMIUM_PRICE_THRESHOLDS: '{"io":80}' }, () => {
+        assert.deepStrictEqual(getThresholds(), { default: 50, ai: 250, io: 80 });
+        assert.strictEqual(classifyPremium(available('trustlab.com', 60)).premium, true);
+        assert.strictEqual(classifyPremium(available('trustlab.io', 90)).premiumReason, 'Price 90.00 above .io threshold 80');
+    });
+});
+
+test('invalid per-TLD thresholds fall back to the defaults', (t) => {
+    const error = t.mock.method(console, 'error', () => {});
+    withEnv({ PREMIUM_PRICE_THRESHOLDS: '{io:80' }, () => {
+        assert.deepStrictEqual(getThresholds(), { default: 100, ai: 250, io: 150 });
+    });
+    assert.strictEqual(error.mock.callCount(), 1);
+});
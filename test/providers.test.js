@@ -0,0 +1,237 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const namecheap = require('../netlify/lib/providers/namecheap');
+const godaddy = require('../netlify/lib/providers/godaddy');
+const dynadot = require('../netlify/lib/providers/dynadot');
+const rdap = require('../netlify/lib/providers/rdap');
+
+// Recorded provider responses
+function fixture(name) {
+    return fs.readFileSync(path.join(__dirname, 'fixtures', 'providers', name), 'utf8');
+}
+
+/**
+ * Local HTTP stub. respond(url, req) returns { status, body } (status
+ * defaults to 200); every request URL is kept in stub.requests.
+ */
+async function serve(t, respond) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        requests.push({ url, headers: req.headers });
+        const { status = 200, body = '' } = respond(url, req);
+        res.writeHead(status, { 'Content-Type': body.trim().startsWith('<') ? 'text/xml' : 'application/json' });
+        res.end(body);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => new Promise(resolve => server.close(resolve)));
+    return { url: `http://127.0.0.1:${server.address().port}`, requests };
+}
+
+// ─── Namecheap ───
+
+function namecheapConfig(stub) {
+    return namecheap.configFromEnv({
+        DOMAIN_API_KEY: 'key',
+        NAMECHEAP_API_USER: 'user',
+        NAMECHEAP_CLIENT_IP: '203.0.113.7',
+        NAMECHEAP_API_URL: `${stub.url}/xml.response`
+    });
+}
+
+test('namecheap: available name gets the standard 1-year price', async (t) => {
+    const stub = await serve(t, url => ({
+        body: fixture(url.searchParams.get('Command') === 'namecheap.users.getPricing'
+            ? 'namecheap-pricing-com.xml'
+            : 'namecheap-check-available.xml')
+    }));
+
+    const result = await namecheap.check('trustlab.com', namecheapConfig(stub));
+
+    assert.strictEqual(result.available, true);
+    assert.strictEqual(result.premium, false);
+    assert.strictEqual(result.price, 10.28);
+    assert.strictEqual(result.registrar, 'Namecheap');
+    assert.strictEqual(result.confidence, 'verified');
+    const check = stub.requests[0].url.searchParams;
+    assert.strictEqual(check.get('DomainList'), 'trustlab.com');
+    assert.strictEqual(check.get('ApiUser'), 'user');
+    assert.strictEqual(check.get('UserName'), 'user');
+    assert.strictEqual(check.get('ClientIp'), '203.0.113.7');
+    assert.strictEqual(stub.requests[1].url.searchParams.get('ProductName'), 'COM');
+});
+
+test('namecheap: premium name uses the premium registration price', async (t) => {
+    const stub = await serve(t, () => ({ body: fixture('namecheap-check-premium.xml') }));
+
+    const result = await namecheap.check('paysnap.io', namecheapConfig(stub));
+
+    assert.strictEqual(result.available, true);
+    assert.strictEqual(result.premium, true);
+    assert.strictEqual(result.price, 2888);
+    // No pricing lookup for premium names
+    assert.strictEqual(stub.requests.length, 1);
+});
+
+test('namecheap: taken name has no price', async (t) => {
+    const stub = await serve(t, () => ({ body: fixture('namecheap-check-taken.xml') }));
+
+    const result = await namecheap.check('google.com', namecheapConfig(stub));
+
+    assert.strictEqual(result.available, false);
+    assert.strictEqual(result.price, null);
+});
+
+test('namecheap: Status="ERROR" with HTTP 200 throws the API message', async (t) => {
+    const stub = await serve(t, () => ({ body: fixture('namecheap-error.xml') }));
+
+    await assert.rejects(namecheap.check('trustlab.com', namecheapConfig(stub)), {
+        message: 'Namecheap error: Invalid request IP: 203.0.113.7'
+    });
+});
+
+test('namecheap: HTTP 429 carries the status', async (t) => {
+    const stub = await serve(t, () => ({ status: 429, body: '' }));
+
+    await assert.rejects(namecheap.check('trustlab.com', namecheapConfig(stub)), { status: 429 });
+});
+
+// ─── GoDaddy ───
+
+function godaddyConfig(stub) {
+    return godaddy.configFromEnv({ DOMAIN_API_KEY: 'key', DOMAIN_API_SECRET: 'secret', GODADDY_API_URL: stub.url });
+}
+
+test('godaddy: available name converts the micro-unit price', async (t) => {
+    const stub = await serve(t, () => ({ body: fixture('godaddy-available.json') }));
+
+    const result = await godaddy.check('trustlab.io', godaddyConfig(stub));
+
+    assert.strictEqual(result.available, true);
+    assert.strictEqual(result.price, 54.99);
+    assert.strictEqual(result.currency, 'USD');
+    assert.strictEqual(result.premium, null);
+    assert.strictEqual(result.registrar, 'GoDaddy');
+    const { url, headers } = stub.requests[0];
+    assert.strictEqual(url.pathname, '/v1/domains/available');
+    assert.strictEqual(url.searchParams.get('domain'), 'trustlab.io');
+    assert.strictEqual(headers.authorization, 'sso-key key:secret');
+});
+
+test('godaddy: taken name has no price', async (t) => {
+    const stub = await serve(t, () => ({ body: fixture('godaddy-taken.json') }));
+
+    const result = await godaddy.check('google.com', godaddyConfig(stub));
+
+    assert.strictEqual(result.available, false);
+    assert.strictEqual(result.price, null);
+});
+
+test('godaddy: error responses carry the status and message', async (t) => {
+    const stub = await serve(t, () => ({ status: 422, body: fixture('godaddy-error.json') }));
+
+    await assert.rejects(godaddy.check('trustlab.zz', godaddyConfig(stub)), err => {
+        assert.strictEqual(err.status, 422);
+        assert.match(err.message, /^GoDaddy HTTP 422: Request body doesn't fulfill schema/);
+        return true;
+    });
+});
+
+test('godaddy: HTTP 429 carries the status', async (t) => {
+    const stub = await serve(t, () => ({ status: 429, body: fixture('godaddy-429.json') }));
+
+    await assert.rejects(godaddy.check('trustlab.io', godaddyConfig(stub)), {
+        status: 429,
+        message: 'GoDaddy HTTP 429: Too many requests received within interval'
+    });
+});
+
+// ─── Dynadot ───
+
+function dynadotConfig(stub) {
+    return dynadot.configFromEnv({ DOMAIN_API_KEY: 'key', DYNADOT_API_URL: `${stub.url}/api3.json` });
+}
+
+test('dynadot: available name parses the price text', async (t) => {
+    const stub = await serve(t, () => ({ body: fixture('dynadot-available.json') }));
+
+    const result = await dynadot.check('trustlab.net', dynadotConfig(stub));
+
+    assert.strictEqual(result.available, true);
+    assert.strictEqual(result.price, 11.49);
+    assert.strictEqual(result.currency, 'USD');
+    assert.strictEqual(result.premium, null);
+    const query = stub.requests[0].url.searchParams;
+    assert.strictEqual(query.get('command'), 'search');
+    assert.strictEqual(query.get('domain0'), 'trustlab.net');
+    assert.strictEqual(query.get('show_price'), '1');
+});
+
+test('dynadot: premium wording in the price sets the flag', async (t) => {
+    const stub = await serve(t, () => ({ body: fixture('dynadot-premium.json') }));
+
+    const result = await dynadot.check('cash.xyz', dynadotConfig(stub));
+
+    assert.strictEqual(result.premium, true);
+    assert.strictEqual(result.price, 2450);
+});
+
+test('dynadot: taken name has no price', async (t) => {
+    const stub = await serve(t, () => ({ body: fixture('dynadot-taken.json') }));
+
+    const result = await dynadot.check('google.com', dynadotConfig(stub));
+
+    assert.strictEqual(result.available, false);
+    assert.strictEqual(result.price, null);
+});
+
+test('dynadot: a non-zero ResponseCode throws the API error', async (t) => {
+    const stub = await serve(t, () => ({ body: fixture('dynadot-error.json') }));
+
+    await assert.rejects(dynadot.check('trustlab.net', dynadotConfig(stub)), { message: 'Dynadot error: invalid key' });
+});
+
+test('dynadot: HTTP 429 carries the status', async (t) => {
+    const stub = await serve(t, () => ({ status: 429, body: '' }));
+
+    await assert.rejects(dynadot.check('trustlab.net', dynadotConfig(stub)), { status: 429 });
+});
+
+// ─── RDAP ───
+
+function rdapConfig(stub) {
+    return rdap.configFromEnv({ RDAP_BASE_URL: `${stub.url}/rdap` });
+}
+
+test('rdap: a registration record means taken, verified', async (t) => {
+    const stub = await serve(t, () => ({ body: fixture('rdap-registered.json') }));
+
+    const result = await rdap.check('google.com', rdapConfig(stub));
+
+    assert.strictEqual(result.available, false);
+    assert.strictEqual(result.confidence, 'verified');
+    assert.strictEqual(result.method, 'rdap');
+    assert.strictEqual(stub.requests[0].url.pathname, '/rdap/domain/google.com');
+});
+
+test('rdap: 404 means likely available, never verified', async (t) => {
+    const stub = await serve(t, () => ({ status: 404, body: fixture('rdap-not-found.json') }));
+
+    const result = await rdap.check('trustlab.com', rdapConfig(stub));
+
+    assert.strictEqual(result.available, true);
+    assert.strictEqual(result.confidence, 'unverified');
+    assert.strictEqual(result.price, null);
+    assert.strictEqual(result.premium, null);
+});
+
+test('rdap: other HTTP errors throw with the status', async (t) => {
+    const stub = await serve(t, url => ({ status: url.pathname.includes('busy') ? 429 : 503, body: '' }));
+
+    await assert.rejects(rdap.check('busy.com', rdapConfig(stub)), { status: 429, message: 'RDAP HTTP 429 for .com' });
+    await assert.rejects(rdap.check('trustlab.com', rdapConfig(stub)), { status: 503 });
+});
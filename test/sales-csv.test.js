@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { parsePrice, importSales } = require('../shared/sales-csv');
+
+function amountOf(value, options) {
+    return parsePrice(value, options).amount;
+}
+
+test('parsePrice reads thousands and decimals in both locales', () => {
+    assert.strictEqual(amountOf('$1,200'), 1200);
+    assert.strictEqual(amountOf('1.200,50 €'), 1200.5);
+    assert.strictEqual(amountOf('€1.200'), 1200);
+    assert.strictEqual(amountOf('1.200', { currency: 'EUR' }), 1200);
+    assert.strictEqual(amountOf('1.200.000'), 1200000);
+    assert.strictEqual(amountOf('12,5'), 12.5);
+    assert.strictEqual(amountOf('950.00'), 950);
+    assert.strictEqual(amountOf('USD 950'), 950);
+});
+
+test('parsePrice applies k and M suffixes', () => {
+    assert.strictEqual(amountOf('2.5k'), 2500);
+    assert.strictEqual(amountOf('$1.2M'), 1200000);
+    assert.strictEqual(amountOf('€3,5K'), 3500);
+    assert.strictEqual(amountOf('15k USD'), 15000);
+});
+
+test('parsePrice rejects a dot before three digits outside dot-thousands currencies', () => {
+    assert.deepStrictEqual(parsePrice('1.200'), { amount: null, currency: '', ambiguous: true });
+    assert.strictEqual(parsePrice('$1.200').ambiguous, true);
+    assert.strictEqual(amountOf('1.20.0'), null);
+});
+
+test('parsePrice reads a lone separator before three digits the same way for comma and dot', () => {
+    assert.strictEqual(amountOf('$1,234'), 1234);
+    assert.strictEqual(amountOf('€1.234'), 1234);
+    assert.strictEqual(parsePrice('1,234').ambiguous, true);
+    assert.strictEqual(parsePrice('1.234').ambiguous, true);
+    assert.strictEqual(parsePrice('€1,234').ambiguous, true);
+    assert.strictEqual(amountOf('1,234', { currency: 'USD' }), 1234);
+});
+
+test('parsePrice rejects exponents, negatives and malformed digit groups', () => {
+    for (const value of ['3e5', '-100', '$-100', '$1,2', '1,20,0', '12,50,000', '1.2345', '1,200.5.0', '1.200,500', '$', 'n/a']) {
+        assert.strictEqual(amountOf(value), null, value);
+    }
+    assert.strictEqual(amountOf('$1,200.50'), 1200.5);
+});
+
+test('importSales skips ambiguous prices and reports them', () => {
+    const csv = 'domain,price,currency\nfoo.com,1.200,\nbar.com,1.200,EUR\nbaz.com,2.5k,USD\n';
+    const result = importSales(csv);
+    assert.deepStrictEqual(result.sales.map(s => [s.domain, s.price]), [['bar.com', 1200], ['baz.com', 2500]]);
+    assert.strictEqual(result.ambiguousPrices, 1);
+    assert.deepStrictEqual(result.errors.map(e => e.row), [2]);
+    assert.match(result.errors[0].message, /ambiguous price "1\.200"/);
+});
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { segment, analyze, isWord, createSegmenter } = require('../shared/segmenter');
+
+test('names split into their words', () => {
+    assert.deepStrictEqual(segment('getmoneyfast'), ['get', 'money', 'fast']);
+    assert.deepStrictEqual(segment('paysecure.com'), ['pay', 'secure']);
+    assert.deepStrictEqual(segment('penisland'), ['pen', 'island']);
+    assert.deepStrictEqual(segment('cryptoexchange'), ['crypto', 'exchange']);
+    assert.deepStrictEqual(segment('pay-2-win'), ['pay', '2', 'win']);
+});
+
+test('real words are not split into smaller ones', () => {
+    for (const word of ['therapist', 'together', 'season', 'trustee', 'exchange', 'domains', 'quote']) {
+        assert.deepStrictEqual(segment(word), [word], word);
+        assert.ok(isWord(word), word);
+    }
+});
+
+test('unknown letters stay together', () => {
+    assert.deepStrictEqual(analyze('google'), { tokens: ['google'], known: [false], coverage: 0 });
+    assert.deepStrictEqual(segment('googlepayz'), ['googlepayz']);
+    // No two-letter leftovers between words
+    assert.deepStrictEqual(segment('xchange'), ['xchange']);
+    assert.deepStrictEqual(analyze('kwikpay').known, [false, true]);
+});
+
+test('extra words join the dictionary', () => {
+    const segmenter = createSegmenter(['stripe']);
+    assert.deepStrictEqual(segmenter.analyze('stripepay'), { tokens: ['stripe', 'pay'], known: [true, true], coverage: 1 });
+    assert.ok(!isWord('stripe'));
+});
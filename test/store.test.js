@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createStore } = require('../netlify/lib/store');
+const winners = require('../netlify/functions/winners');
+
+const STORE_ENV = ['STORE_BACKEND', 'STORE_DIR', 'NETLIFY_DEV', 'NETLIFY_BLOBS_CONTEXT'];
+
+// Run fn with only the given store variables set
+async function withEnv(vars, fn) {
+    const saved = {};
+    STORE_ENV.forEach(name => { saved[name] = process.env[name]; delete process.env[name]; });
+    Object.assign(process.env, vars);
+    try {
+        return await fn();
+    } finally {
+        STORE_ENV.forEach(name => {
+            if (saved[name] === undefined) delete process.env[name];
+            else process.env[name] = saved[name];
+        });
+    }
+}
+
+test('createStore refuses the temp-dir fallback outside local dev', () => withEnv({}, () => {
+    assert.throws(() => createStore('winners'), err => err.code === 'STORE_UNAVAILABLE' && err.status === 500 && /STORE_DIR/.test(err.message));
+}));
+
+test('createStore uses the file backend when STORE_DIR is set', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'store-test-'));
+    return withEnv({ STORE_DIR: dir }, async () => {
+        const store = createStore('winners');
+        assert.strictEqual(store.backend, 'file');
+        await store.set('a', { n: 1 });
+        assert.deepStrictEqual(await createStore('winners').get('a'), { n: 1 });
+        await store.delete('a');
+        assert.strictEqual(await store.get('a'), null);
+    });
+});
+
+test('createStore uses the file backend under netlify dev', () => withEnv({ NETLIFY_DEV: 'true' }, () => {
+    assert.strictEqual(createStore('agent-jobs').backend, 'file');
+}));
+
+test('STORE_BACKEND=blobs never falls back to files', () => withEnv({ STORE_BACKEND: 'blobs', STORE_DIR: os.tmpdir() }, () => {
+    assert.throws(() => createStore('winners'), { code: 'STORE_UNAVAILABLE' });
+}));
+
+test('winners answers 500 with the storage error when no store is available', () => withEnv({}, async () => {
+    const res = await winners.handler(
+        { httpMethod: 'GET', headers: {} },
+        { clientContext: { user: { sub: 'u1', email: 'a@example.com' } } }
+    );
+    assert.strictEqual(res.statusCode, 500);
+    assert.match(JSON.parse(res.body).error, /Storage is unavailable for "winners"/);
+}));
+
+test('a conditional set fails once the entry has changed', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'store-test-'));
+    return withEnv({ STORE_DIR: dir }, async () => {
+        const store = createStore('winners');
+        assert.strictEqual(await store.getEntry('a'), null);
+        assert.strictEqual(await store.set('a', { n: 1 }, { onlyIfNew: true }), true);
+        assert.strictEqual(await store.set('a', { n: 2 }, { onlyIfNew: true }), false);
+
+        const entry = await store.getEntry('a');
+        assert.deepStrictEqual(entry.value, { n: 1 });
+        assert.strictEqual(await store.set('a', { n: 3 }, { onlyIfMatch: entry.etag }), true);
+        assert.strictEqual(await store.set('a', { n: 4 }, { onlyIfMatch: entry.etag }), false);
+        assert.deepStrictEqual(await store.get('a'), { n: 3 });
+    });
+});
+
+test('concurrent winner writes all land', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'store-test-'));
+    const context = { clientContext: { user: { sub: 'u1', email: 'a@example.com' } } };
+    const put = domain => winners.handler({ httpMethod: 'PUT', headers: {}, body: JSON.stringify({ domain }) }, context);
+    return withEnv({ STORE_DIR: dir }, async () => {
+        const responses = await Promise.all(['paysnap.com', 'trustlab.io', 'lendly.co'].map(put));
+        assert.deepStrictEqual(responses.map(r => r.statusCode), [201, 201, 201]);
+
+        const res = await winners.handler({ httpMethod: 'GET', headers: {} }, context);
+        assert.deepStrictEqual(JSON.parse(res.body).winners.map(w => w.domain).sort(), ['lendly.co', 'paysnap.com', 'trustlab.io']);
+    });
+});
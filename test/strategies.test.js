@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { strategyForms, applyStrategies } = require('../shared/strategies');
+
+function combo(a, b) {
+    return { domain: a + b, parts: [a, b], template: '{A}{B}', sources: `A:${a}, B:${b}` };
+}
+
+test('each strategy builds its own forms', () => {
+    assert.deepStrictEqual(strategyForms(['pay', 'snap'], 'plain'), ['paysnap']);
+    assert.deepStrictEqual(strategyForms(['payment', 'mentor'], 'blend'), ['paymentor']);
+    assert.deepStrictEqual(strategyForms(['lend', 'mentor'], 'blend'), ['lentor']);
+    assert.deepStrictEqual(strategyForms(['finance', 'track'], 'clip').slice(0, 2), ['fintrack', 'fintrak']);
+    assert.ok(strategyForms(['bright'], 'clip').includes('brite'));
+    assert.deepStrictEqual(strategyForms(['trusted', 'hub'], 'vowels'), ['trstdhb', 'trustedhb']);
+    assert.ok(strategyForms(['flicker'], 'vowels').includes('flickr'));
+    assert.deepStrictEqual(strategyForms(['snap', 'clear'], 'letters'), ['snapklear']);
+    assert.deepStrictEqual(strategyForms(['lift', 'apps'], 'letters'), ['lyftapps', 'liftappz']);
+    assert.ok(strategyForms(['snap'], 'letters').includes('snapp'));
+});
+
+test('non-plain strategies never repeat the plain name', () => {
+    for (const strategy of ['blend', 'clip', 'vowels', 'letters']) {
+        assert.ok(!strategyForms(['pay', 'snap'], strategy).includes('paysnap'), strategy);
+    }
+    assert.deepStrictEqual(strategyForms(['pay'], 'unknown'), []);
+});
+
+test('variants keep their sources with the strategy appended', () => {
+    const results = applyStrategies([combo('payment', 'mentor')], ['plain', 'blend', 'clip']);
+    assert.deepStrictEqual(results.map(r => [r.domain, r.sources, r.strategy]), [
+        ['paymentmentor', 'A:payment, B:mentor', 'plain'],
+        // clip builds paymentor too; it's kept once, under the first strategy
+        ['paymentor', 'A:payment, B:mentor (blend)', 'blend']
+    ]);
+    assert.strictEqual(results[1].template, '{A}{B}');
+});
+
+test('no strategies means plain', () => {
+    assert.deepStrictEqual(applyStrategies([combo('pay', 'snap')], []).map(r => r.strategy), ['plain']);
+    assert.deepStrictEqual(applyStrategies([{ domain: 'paysnap' }], ['letters']).map(r => r.domain), ['paysnapp']);
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { validateTemplate, expandTemplate, countTemplate } = require('../shared/templates');
+
+test('templates expand in order with their sources', () => {
+    const combos = expandTemplate('{prefix?}{A}-{B}', { A: ['pay'], B: ['lab', 'hub'], prefix: ['get'] });
+    assert.deepStrictEqual(combos.map(c => [c.domain, c.sources]), [
+        ['pay-lab', 'A:pay, B:lab'],
+        ['pay-hub', 'A:pay, B:hub'],
+        ['getpay-lab', 'pre:get, A:pay, B:lab'],
+        ['getpay-hub', 'pre:get, A:pay, B:hub']
+    ]);
+    assert.deepStrictEqual(combos[2].parts, ['get', 'pay', '-', 'lab']);
+    assert.strictEqual(combos[0].template, '{prefix?}{A}-{B}');
+});
+
+test('optional slots skip the all-empty combo and counts match', () => {
+    const pools = { A: ['a', 'b'], B: ['c'] };
+    assert.deepStrictEqual(expandTemplate('{A?}{B?}', pools).map(c => c.domain), ['c', 'a', 'ac', 'b', 'bc']);
+    assert.strictEqual(countTemplate('{A?}{B?}', pools), 5);
+    assert.deepStrictEqual(expandTemplate('{A}{B}', { A: ['a', 'b'], B: ['c', 'd'] }, { maxResults: 3 }).map(c => c.domain), ['ac', 'ad', 'bc']);
+    assert.deepStrictEqual(expandTemplate('{A}{C}', pools), []);
+});
+
+test('legacy names mean the braced form', () => {
+    assert.deepStrictEqual(validateTemplate('prefix+A+suf?'), { valid: true, error: null, normalized: '{prefix}{A}{suffix?}' });
+    assert.strictEqual(validateTemplate('A+B').normalized, '{A}{B}');
+});
+
+test('invalid templates explain what is wrong', () => {
+    const cases = {
+        '': /^Template is empty$/,
+        '{A': /^Unclosed "\{"/,
+        'A}': /^Unexpected "\}"/,
+        '{A{B}}': /^Nested "\{"/,
+        '{x}': /^Unknown slot "\{x\}"/,
+        '{A}{B}!': /^Invalid literal "!"/,
+        'get': /has no slots/,
+        'A++B': /^Empty part/,
+        [`{A}${'a'.repeat(60)}`]: /longer than 60 characters/
+    };
+    for (const [template, error] of Object.entries(cases)) {
+        const result = validateTemplate(template);
+        assert.strictEqual(result.valid, false, template);
+        assert.match(result.error, error, template);
+    }
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { splitDomain, checkName, attachTlds, findHacks, createReplyMatcher } = require('../shared/tlds');
+
+test('splitDomain knows multi-label TLDs and cleans up input', () => {
+    assert.deepStrictEqual(splitDomain('shop.co.uk'), { name: 'shop', tld: 'co.uk' });
+    assert.deepStrictEqual(splitDomain('WWW.Foo.COM.'), { name: 'foo', tld: 'com' });
+    assert.deepStrictEqual(splitDomain('https://trustlab.io/about'), { name: 'trustlab', tld: 'io' });
+    assert.deepStrictEqual(splitDomain('paysnap'), { name: 'paysnap', tld: '' });
+});
+
+test('checkName applies the per-TLD rules', () => {
+    assert.strictEqual(checkName('ab', 'com'), null);
+    assert.strictEqual(checkName('ab', 'io'), '.io names need at least 3 characters');
+    assert.strictEqual(checkName('ab--cd', 'com'), 'Hyphens in positions 3 and 4');
+    assert.strictEqual(checkName('-ab', 'com'), 'Starts or ends with a hyphen');
+    assert.strictEqual(checkName('pay_snap', 'com'), 'Only letters, digits and hyphens');
+    assert.strictEqual(checkName('a'.repeat(62), 'co.uk'), 'Longer than 61 characters');
+    // Unknown TLDs get the generic 1-63
+    assert.strictEqual(checkName('a', 'zz'), null);
+});
+
+test('findHacks finishes the word with a hack TLD', () => {
+    assert.deepStrictEqual(findHacks('secure'), [{ domain: 'secu.re', name: 'secu', tld: 're' }]);
+    assert.deepStrictEqual(findHacks('dispatch').map(h => h.domain), ['dispat.ch']);
+    // Too little left of the TLD, or no hack TLD at the end
+    assert.deepStrictEqual(findHacks('to'), []);
+    assert.deepStrictEqual(findHacks('paysnap'), []);
+    assert.deepStrictEqual(findHacks('paysnap', { tlds: ['.ap'] }).map(h => h.domain), ['paysn.ap']);
+});
+
+test('attachTlds skips TLDs a name breaks and adds hacks last', () => {
+    const results = attachTlds([{ domain: 'ab', sources: 'A:ab' }, { domain: 'secure', sources: 'A:secure' }], ['.com', 'io', 'com'], { hacks: true });
+    assert.deepStrictEqual(results.map(r => [r.domain, r.sources]), [
+        ['ab.com', 'A:ab'],
+        ['secure.com', 'A:secure'],
+        ['secure.io', 'A:secure'],
+        ['secu.re', 'A:secure (hack)']
+    ]);
+});
+
+test('reply matching maps model replies back to the requested domains', () => {
+    const match = createReplyMatcher(['paysnap', 'trustlab.com', 'secu.re', 'lend.io', 'lend.co']);
+    assert.strictEqual(match('paysnap.com'), 'paysnap');
+    assert.strictEqual(match('TrustLab'), 'trustlab.com');
+    assert.strictEqual(match('secure'), 'secu.re');
+    assert.strictEqual(match('https://www.trustlab.com/'), 'trustlab.com');
+    // Two requested domains share the name
+    assert.strictEqual(match('lend'), null);
+});
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createScreener } = require('../shared/tm-screen');
+
+const screener = createScreener(['chase', 'visa', 'meta', 'uber', 'stripe']);
+
+function typeOf(domain) {
+    const hit = screener.screen(domain);
+    return hit && `${hit.type}:${hit.mark}`;
+}
+
+test('a mark inside another word is not contained', () => {
+    assert.strictEqual(typeOf('purchase.com'), null);
+    assert.strictEqual(typeOf('advisable.com'), null);
+    assert.strictEqual(typeOf('metalworks.com'), null);
+    assert.strictEqual(typeOf('exuberant.com'), null);
+});
+
+test('a mark next to other words is contained', () => {
+    assert.strictEqual(typeOf('stripepay.com'), 'contained:stripe');
+    assert.strictEqual(typeOf('paystripe.com'), 'contained:stripe');
+    assert.strictEqual(typeOf('chasebank.com'), 'contained:chase');
+    assert.strictEqual(typeOf('metalabs.io'), 'contained:meta');
+    assert.strictEqual(typeOf('uber24.com'), 'contained:uber');
+});
+
+test('a mark next to an unknown word or stray letters is contained', () => {
+    const withGoogle = createScreener(['google']);
+    assert.strictEqual(withGoogle.screen('googlepayz.com').type, 'contained');
+    assert.strictEqual(typeOf('stripex.com'), 'contained:stripe');
+    // Unless the stray letters finish a word
+    assert.strictEqual(typeOf('metal.com'), null);
+});
+
+test('exact names still match', () => {
+    assert.strictEqual(typeOf('visa.com'), 'exact:visa');
+});